@@ -0,0 +1,226 @@
+const crypto = require('crypto');
+const { apiKeys } = require('./repositories');
+const logger = require('./logger');
+
+const SCOPES = ['send:broadcast', 'send:device', 'read:stats', 'admin'];
+
+// Keys look like pk_<12 hex id>_<43 char secret>; only the secret's hash is stored
+const KEY_PATTERN = /^pk_([a-f0-9]{12})_([A-Za-z0-9_-]{43})$/;
+
+// Verified keys are re-read at most this often, so a revocation made on
+// another instance takes effect within this window
+const CACHE_TTL_MS = 30 * 1000;
+
+// lastUsedAt is written at most this often per key
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+const DATE_FIELDS = ['createdAt', 'expiresAt', 'lastUsedAt', 'revokedAt'];
+
+function hashSecret(secret) {
+  return crypto.createHash('sha256').update(secret).digest('hex');
+}
+
+/**
+ * API Key Store
+ * Named, scoped keys for integrating services. The plaintext key is only
+ * returned once, on create/rotate.
+ */
+class ApiKeyService {
+  constructor() {
+    this.cache = new Map();
+  }
+
+  /* =========================================================
+   * CREATE
+   * ======================================================= */
+  async create({
+    name,
+    scopes,
+    limits = {},
+    expiresAt = null,
+    createdBy = null,
+    rotatedFrom = null,
+  }) {
+    const id = crypto.randomBytes(6).toString('hex');
+    const secret = crypto.randomBytes(32).toString('base64url');
+
+    const record = {
+      name,
+      scopes,
+      limits,
+      hash: hashSecret(secret),
+      createdAt: new Date(),
+      createdBy,
+      expiresAt,
+      lastUsedAt: null,
+      revokedAt: null,
+      ...(rotatedFrom && { rotatedFrom }),
+    };
+
+    await apiKeys.set(id, record);
+    logger.info('Created API key', { keyId: id, name, scopes });
+
+    return { key: `pk_${id}_${secret}`, apiKey: this._serialize({ id, ...record }) };
+  }
+
+  /* =========================================================
+   * LIST / GET
+   * ======================================================= */
+  async list() {
+    return (await apiKeys.list()).map((record) => this._serialize(record));
+  }
+
+  async get(id) {
+    const record = await apiKeys.get(id);
+    if (!record) {
+      throw new Error('API key not found');
+    }
+    return record;
+  }
+
+  /* =========================================================
+   * PER-KEY LIMITS
+   * Overrides for the default rate limits and daily quotas (see quotas.js).
+   * Replaces all overrides; an empty object restores the defaults.
+   * ======================================================= */
+  async setLimits(id, limits) {
+    const record = await this.get(id);
+
+    await apiKeys.update(id, { limits });
+    this.cache.delete(id);
+
+    logger.info('Updated API key limits', { keyId: id, name: record.name });
+    return this._serialize({ ...record, limits });
+  }
+
+  /* =========================================================
+   * REVOKE
+   * ======================================================= */
+  async revoke(id) {
+    const record = await this.get(id);
+    if (record.revokedAt) {
+      throw new Error('API key already revoked');
+    }
+
+    const revokedAt = new Date();
+    await apiKeys.update(id, { revokedAt });
+    this.cache.delete(id);
+
+    logger.info('Revoked API key', { keyId: id, name: record.name });
+    return this._serialize({ ...record, revokedAt });
+  }
+
+  /* =========================================================
+   * ROTATE
+   * Issues a new key with the same name, scopes and expiry. The old key
+   * keeps working for `graceSeconds` so clients can switch over without
+   * an outage (0 revokes it immediately).
+   * ======================================================= */
+  async rotate(id, { graceSeconds = 0, createdBy = null } = {}) {
+    const record = await this.get(id);
+    if (record.revokedAt) {
+      throw new Error('API key already revoked');
+    }
+
+    const created = await this.create({
+      name: record.name,
+      scopes: record.scopes,
+      limits: record.limits,
+      expiresAt: record.expiresAt,
+      createdBy,
+      rotatedFrom: id,
+    });
+
+    if (graceSeconds > 0) {
+      const graceEnd = new Date(Date.now() + graceSeconds * 1000);
+      const expiresAt =
+        record.expiresAt && record.expiresAt < graceEnd ? record.expiresAt : graceEnd;
+      await apiKeys.update(id, { expiresAt, rotatedTo: created.apiKey.id });
+    } else {
+      await apiKeys.update(id, { revokedAt: new Date(), rotatedTo: created.apiKey.id });
+    }
+    this.cache.delete(id);
+
+    logger.info('Rotated API key', { keyId: id, newKeyId: created.apiKey.id });
+    return created;
+  }
+
+  /* =========================================================
+   * VERIFY A PRESENTED KEY
+   * Returns the key identity, or null if the key is unknown, revoked or
+   * expired.
+   * ======================================================= */
+  async verify(presentedKey) {
+    const match = KEY_PATTERN.exec(presentedKey);
+    if (!match) return null;
+
+    const [, id, secret] = match;
+    const record = await this._load(id);
+    if (!record) return null;
+
+    // Constant-time comparison prevents timing attacks
+    const expected = Buffer.from(record.hash, 'hex');
+    const provided = Buffer.from(hashSecret(secret), 'hex');
+    if (!crypto.timingSafeEqual(expected, provided)) return null;
+
+    if (record.revokedAt) return null;
+    if (record.expiresAt && record.expiresAt <= new Date()) return null;
+
+    this._touch(id, record);
+    return { id, name: record.name, scopes: record.scopes, limits: record.limits || {} };
+  }
+
+  hasScope(apiKey, scope) {
+    return apiKey.scopes.includes('admin') || apiKey.scopes.includes(scope);
+  }
+
+  /* =========================================================
+   * PRIVATE HELPERS
+   * ======================================================= */
+
+  async _load(id) {
+    const cached = this.cache.get(id);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+      return cached.record;
+    }
+
+    const record = await apiKeys.get(id);
+    this.cache.set(id, { record, loadedAt: Date.now() });
+    return record;
+  }
+
+  // Best-effort: a failed lastUsedAt write must not fail the request
+  _touch(id, record) {
+    const now = new Date();
+    if (record.lastUsedAt && now - record.lastUsedAt < LAST_USED_RESOLUTION_MS) return;
+
+    record.lastUsedAt = now;
+    apiKeys
+      .update(id, { lastUsedAt: now })
+      .catch((error) =>
+        logger.error('Failed to update lastUsedAt for API key', { keyId: id, error })
+      );
+  }
+
+  // Never expose the hash; add a derived status for convenience
+  _serialize(record) {
+    // eslint-disable-next-line no-unused-vars
+    const { hash, ...out } = record;
+
+    if (out.revokedAt) {
+      out.status = 'revoked';
+    } else if (out.expiresAt && out.expiresAt <= new Date()) {
+      out.status = 'expired';
+    } else {
+      out.status = 'active';
+    }
+
+    for (const key of DATE_FIELDS) {
+      if (out[key]) out[key] = out[key].toISOString();
+    }
+    return out;
+  }
+}
+
+module.exports = new ApiKeyService();
+module.exports.SCOPES = SCOPES;
@@ -0,0 +1,97 @@
+const { deadLetters } = require('./repositories');
+const logger = require('./logger');
+
+// A replay claim older than this was abandoned (its instance died) and
+// can be taken over
+const REPLAY_LEASE_MS = 5 * 60 * 1000;
+
+/**
+ * Dead-Letter Store
+ * Messages that still failed with a retryable error after all attempts are
+ * parked here with the exact FCM payload, so they can be inspected and
+ * replayed (see NotificationService.replayDeadLetter).
+ *
+ * Status: pending → replaying (claimed by one replay) → replayed, or back
+ * to pending if the replay fails.
+ */
+class DeadLetterStore {
+  async park({ kind, message, title, body, error, attempts, context = {} }) {
+    try {
+      const id = await deadLetters.create({
+        kind,
+        message,
+        title,
+        body,
+        error: error.message,
+        code: error.code || null,
+        attempts: attempts || error.attempts || 1,
+        context,
+        status: 'pending',
+        replayCount: 0,
+        createdAt: new Date(),
+      });
+      logger.warn('Parked failed message in dead-letter queue', { deadLetterId: id });
+      return id;
+    } catch (parkErr) {
+      // Last resort — the message is lost, but make it loud
+      logger.error('Failed to park message in dead-letter queue', { error: parkErr });
+      return null;
+    }
+  }
+
+  async list({ status, limit = 50 } = {}) {
+    return deadLetters.list({ status, limit });
+  }
+
+  async get(id) {
+    const entry = await deadLetters.get(id);
+    if (!entry) {
+      throw new Error('Dead letter not found');
+    }
+    return entry;
+  }
+
+  // Atomically moves a pending entry to `replaying` and returns it, so two
+  // concurrent replays can never both send it
+  async claimForReplay(id) {
+    return deadLetters.mutate(id, (entry) => {
+      if (!entry) {
+        throw new Error('Dead letter not found');
+      }
+      if (entry.status === 'replayed') {
+        throw new Error('Dead letter already replayed');
+      }
+      if (entry.status === 'replaying' && Date.now() - entry.replayClaimedAt < REPLAY_LEASE_MS) {
+        throw new Error('Dead letter is already being replayed');
+      }
+
+      const claimed = { ...entry, status: 'replaying', replayClaimedAt: new Date() };
+      return { write: claimed, result: claimed };
+    });
+  }
+
+  async markReplayed(id, result) {
+    await this._update(id, {
+      status: 'replayed',
+      replayedAt: new Date(),
+      replayResult: result,
+    });
+  }
+
+  async markReplayFailed(id, error) {
+    await this._update(id, {
+      status: 'pending',
+      lastReplayError: error.message,
+      lastReplayAt: new Date(),
+    });
+  }
+
+  // Applies `fields` and counts the replay attempt in one atomic write
+  async _update(id, fields) {
+    await deadLetters.mutate(id, (entry) => ({
+      write: entry && { ...entry, ...fields, replayCount: (entry.replayCount || 0) + 1 },
+    }));
+  }
+}
+
+module.exports = new DeadLetterStore();
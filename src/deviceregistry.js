@@ -0,0 +1,108 @@
+const crypto = require('crypto');
+const { devices } = require('./repositories');
+const logger = require('./logger');
+
+const ALL_USERS_TOPIC = 'all_users';
+
+class DeviceRegistry {
+  /* =========================================================
+   * REGISTER / REFRESH A DEVICE TOKEN
+   * ======================================================= */
+  async register({ token, userId, platform, appVersion }) {
+    const id = this._id(token);
+    const now = new Date();
+
+    const existing = await devices.get(id);
+
+    const record = {
+      token,
+      userId,
+      platform,
+      appVersion: appVersion || null,
+      lastSeenAt: now,
+    };
+
+    // Keep the original registration time when a device re-registers
+    if (!existing) {
+      record.createdAt = now;
+    }
+
+    await devices.merge(id, record);
+
+    const previousUser = existing ? existing.userId : null;
+    if (previousUser && previousUser !== userId) {
+      logger.info('Device token moved to another user', { previousUser, userId });
+    } else {
+      logger.info(`Device ${existing ? 'refreshed' : 'registered'}`, { userId });
+    }
+
+    return { created: !existing, ...record };
+  }
+
+  /* =========================================================
+   * UNREGISTER A DEVICE TOKEN
+   * ======================================================= */
+  async unregister(token) {
+    const id = this._id(token);
+    const existing = await devices.get(id);
+
+    if (!existing) {
+      return false;
+    }
+
+    await devices.delete(id);
+    logger.info('Device unregistered', { userId: existing.userId });
+    return true;
+  }
+
+  /* =========================================================
+   * PRUNE TOKENS THAT FCM REPORTS AS DEAD
+   * ======================================================= */
+  async removeTokens(tokens) {
+    if (tokens.length === 0) return 0;
+
+    await devices.deleteMany(tokens.map((token) => this._id(token)));
+
+    logger.info('Pruned stale device tokens', { pruned: tokens.length });
+    return tokens.length;
+  }
+
+  /* =========================================================
+   * TOPIC SUBSCRIPTIONS
+   * Mirrors subscriptions made through /api/topics onto the device
+   * records, so topic and segment audiences can be estimated.
+   * Subscriptions the app makes itself are not seen here.
+   * ======================================================= */
+  async setTopic(tokens, topic, subscribed) {
+    if (tokens.length === 0) return;
+    await devices.setTopic(tokens.map((token) => this._id(token)), topic, subscribed);
+  }
+
+  /* =========================================================
+   * LOOKUPS
+   * ======================================================= */
+  async getUserTokens(userId) {
+    return (await devices.findByUser(userId)).map((device) => device.token);
+  }
+
+  async count() {
+    return devices.count();
+  }
+
+  // Every registered device counts as subscribed to the all-users topic
+  async countByTopic(topic) {
+    return topic === ALL_USERS_TOPIC ? devices.count() : devices.countByTopic(topic);
+  }
+
+  /* =========================================================
+   * PRIVATE HELPERS
+   * ======================================================= */
+
+  // FCM tokens are long and may contain characters that are awkward in
+  // document paths, so devices are keyed by a hash of the token.
+  _id(token) {
+    return crypto.createHash('sha256').update(token).digest('hex');
+  }
+}
+
+module.exports = new DeviceRegistry();
@@ -0,0 +1,152 @@
+const { scheduledNotifications } = require('./repositories');
+const logger = require('./logger');
+
+// Event reminders are stored as scheduled notifications so the regular
+// dispatcher sends them and they survive restarts.
+const KIND = 'event_reminder';
+
+const DEFAULT_OFFSETS = '24h,1h';
+
+/**
+ * Parses a comma-separated list of offsets like "24h,1h,30m,2d" into minutes.
+ * Invalid entries are ignored with a warning.
+ */
+function parseOffsets(value) {
+  const units = { m: 1, h: 60, d: 1440 };
+  const offsets = [];
+
+  for (const part of value.split(',').map((p) => p.trim()).filter(Boolean)) {
+    const match = /^(\d+)([mhd])$/.exec(part);
+    if (!match || Number(match[1]) === 0) {
+      logger.warn('Ignoring invalid reminder offset (use e.g. 30m, 1h, 2d)', { offset: part });
+      continue;
+    }
+    offsets.push(Number(match[1]) * units[match[2]]);
+  }
+
+  return [...new Set(offsets)].sort((a, b) => b - a);
+}
+
+/**
+ * Human-readable offset for notification copy: "30 minutes", "1 hour", "2 days".
+ */
+function formatOffset(minutes) {
+  const plural = (n, unit) => `${n} ${unit}${n === 1 ? '' : 's'}`;
+
+  if (minutes < 60) return plural(minutes, 'minute');
+  if (minutes < 2880 || minutes % 1440 !== 0) {
+    return minutes % 60 === 0
+      ? plural(minutes / 60, 'hour')
+      : `${plural(Math.floor(minutes / 60), 'hour')} ${plural(minutes % 60, 'minute')}`;
+  }
+  return plural(minutes / 1440, 'day');
+}
+
+class EventReminderService {
+  constructor() {
+    this.offsets = parseOffsets(process.env.EVENT_REMINDER_OFFSETS || DEFAULT_OFFSETS);
+  }
+
+  /* =========================================================
+   * PLAN (OR RE-PLAN) REMINDERS FOR AN EVENT
+   * Idempotent: a reminder that is already pending or sent for the
+   * same time is left alone, so this is safe to call on every load.
+   * ======================================================= */
+  async plan(event, eventDate) {
+    const now = Date.now();
+    let planned = 0;
+
+    for (const offsetMinutes of this.offsets) {
+      const sendAt = new Date(eventDate.getTime() - offsetMinutes * 60_000);
+      const id = this._jobId(event.id, offsetMinutes);
+
+      const changed = await scheduledNotifications.mutate(id, (existing) => {
+        // Too late for this offset — make sure an old reminder doesn't fire
+        if (sendAt.getTime() <= now) {
+          if (existing && existing.status === 'pending') {
+            const cancelled = {
+              ...existing,
+              status: 'cancelled',
+              cancelledAt: new Date(),
+              updatedAt: new Date(),
+            };
+            return { write: cancelled, result: false };
+          }
+          return { write: null, result: false };
+        }
+
+        if (
+          existing &&
+          ['pending', 'sending', 'sent'].includes(existing.status) &&
+          existing.sendAt.getTime() === sendAt.getTime()
+        ) {
+          return { write: null, result: false };
+        }
+
+        const record = {
+          kind: KIND,
+          eventId: event.id,
+          eventTitle: event.title,
+          offsetMinutes,
+          target: { type: 'all' },
+          sendAt,
+          status: 'pending',
+          createdAt: existing ? existing.createdAt : new Date(),
+          updatedAt: new Date(),
+        };
+        return { write: record, result: true };
+      });
+
+      if (changed) planned++;
+    }
+
+    if (planned > 0) {
+      logger.info('Planned event reminders', { eventId: event.id, planned });
+    }
+    return planned;
+  }
+
+  /* =========================================================
+   * CANCEL PENDING REMINDERS FOR AN EVENT
+   * ======================================================= */
+  async cancel(eventId) {
+    const jobs = await scheduledNotifications.findByEvent(eventId);
+
+    const pending = jobs.filter((job) => job.kind === KIND && job.status === 'pending');
+    if (pending.length === 0) return 0;
+
+    const now = new Date();
+    await Promise.all(
+      pending.map((job) =>
+        scheduledNotifications.update(job.id, {
+          status: 'cancelled',
+          cancelledAt: now,
+          updatedAt: now,
+        })
+      )
+    );
+
+    logger.info('Cancelled pending reminders', { eventId, cancelled: pending.length });
+    return pending.length;
+  }
+
+  isReminder(job) {
+    return job.kind === KIND;
+  }
+
+  formatOffset(minutes) {
+    return formatOffset(minutes);
+  }
+
+  /* =========================================================
+   * PRIVATE HELPERS
+   * ======================================================= */
+
+  // Deterministic IDs make planning idempotent and let a reschedule
+  // overwrite the old reminder instead of creating a second one.
+  _jobId(eventId, offsetMinutes) {
+    return `${KIND}_${eventId}_${offsetMinutes}m`;
+  }
+}
+
+module.exports = new EventReminderService();
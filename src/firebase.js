@@ -1,5 +1,6 @@
 const admin = require('firebase-admin');
 const path = require('path');
+const logger = require('./logger');
 
 let firebaseInitialized = false;
 
@@ -14,7 +15,7 @@ function initializeFirebase() {
     if (process.env.FIREBASE_CREDENTIALS) {
       // Production: use environment variable
       serviceAccount = JSON.parse(process.env.FIREBASE_CREDENTIALS);
-      console.log('🔑 Using FIREBASE_CREDENTIALS environment variable');
+      logger.info('Using FIREBASE_CREDENTIALS environment variable');
     } else if (process.env.NODE_ENV === 'production') {
       // In production, never fall back to a file
       throw new Error(
@@ -25,8 +26,8 @@ function initializeFirebase() {
       // Development only: use local file
       const keyPath = path.join(__dirname, '../serviceAccountKey.json');
       serviceAccount = require(keyPath);
-      console.warn(
-        '⚠️  DEV MODE: Using local serviceAccountKey.json. ' +
+      logger.warn(
+        'DEV MODE: Using local serviceAccountKey.json. ' +
         'Never commit this file or use it in production.'
       );
     }
@@ -41,11 +42,11 @@ function initializeFirebase() {
         `${serviceAccount.project_id}.appspot.com`,
     });
 
-    console.log('✅ Firebase Admin SDK initialized successfully');
+    logger.info('Firebase Admin SDK initialized');
     firebaseInitialized = true;
     return admin;
   } catch (error) {
-    console.error('❌ Failed to initialize Firebase:', error.message);
+    logger.error('Failed to initialize Firebase', { error });
     throw error;
   }
 }
@@ -0,0 +1,167 @@
+const { getFirestore } = require('./firebase');
+const { getTransport } = require('./transports');
+const { backend: storageBackend } = require('./repositories');
+const notificationService = require('./notificationservice');
+const logger = require('./logger');
+
+// Each dependency check gives up after this long
+const CHECK_TIMEOUT_MS = parseInt(process.env.HEALTH_CHECK_TIMEOUT_MS, 10) || 3000;
+
+// Readiness results are reused for this long, so frequent probes don't
+// each cost a Firestore read and an FCM call
+const CACHE_MS = 10_000;
+
+// Optional: fail readiness when the listener has been silent this long.
+// Off by default (0) — Firestore only sends snapshots when events change,
+// so a quiet spell would take every instance out at once. Listener errors
+// and restarts already fail readiness through isInitialLoad; alert on
+// staleness from metrics instead (see metrics.js).
+const MAX_SNAPSHOT_AGE_MINUTES = parseInt(process.env.HEALTH_MAX_SNAPSHOT_AGE_MINUTES, 10) || 0;
+
+// The reminder cron fires daily; an hour of slack before it counts as missed
+const CRON_OVERDUE_MS = 25 * 60 * 60 * 1000;
+
+// Sent validate-only: checks credentials and FCM reachability, delivers nothing
+const PROBE_MESSAGE = { topic: 'health_check', data: { probe: '1' } };
+
+/**
+ * Health Checks
+ * Liveness only says the process is serving requests — restarting would
+ * not fix anything it could detect. Readiness says this instance can
+ * actually send: Firestore and FCM answer, the events listener is past
+ * its initial load, and the daily reminder cron is not overdue.
+ */
+class HealthService {
+  constructor() {
+    this.cached = null;
+  }
+
+  live() {
+    return {
+      status: 'ok',
+      timestamp: new Date().toISOString(),
+      uptime: Math.floor(process.uptime()),
+    };
+  }
+
+  // Resolves to { status: 'ready' | 'not_ready', timestamp, checks }
+  ready() {
+    if (!this.cached || Date.now() - this.cached.at >= CACHE_MS) {
+      this.cached = { at: Date.now(), result: this._runChecks() };
+    }
+    return this.cached.result;
+  }
+
+  /* =========================================================
+   * PRIVATE HELPERS
+   * ======================================================= */
+
+  async _runChecks() {
+    const [firestore, fcm] = await Promise.all([
+      this._probe(() => this._checkFirestore()),
+      this._probe(() => this._checkFcm()),
+    ]);
+    const checks = {
+      firestore,
+      fcm,
+      eventListener: this._checkListener(),
+      dailyReminders: this._checkDailyReminders(),
+    };
+
+    const failed = Object.keys(checks).filter((name) => checks[name].status !== 'ok');
+    if (failed.length > 0) {
+      logger.warn('Readiness check failed', {
+        checks: Object.fromEntries(failed.map((name) => [name, checks[name].error])),
+      });
+    }
+
+    // Dependency error messages stay in the logs in production
+    if (process.env.NODE_ENV === 'production') {
+      Object.values(checks).forEach((check) => delete check.error);
+    }
+
+    return {
+      status: failed.length === 0 ? 'ready' : 'not_ready',
+      timestamp: new Date().toISOString(),
+      checks,
+    };
+  }
+
+  // Runs a remote check with a timeout, recording how long it took
+  async _probe(check) {
+    const started = Date.now();
+    let timer;
+    const timeout = new Promise((_, reject) => {
+      timer = setTimeout(
+        () => reject(new Error(`Timed out after ${CHECK_TIMEOUT_MS}ms`)),
+        CHECK_TIMEOUT_MS
+      );
+    });
+
+    try {
+      const details = await Promise.race([check(), timeout]);
+      return { status: 'ok', ...details, latencyMs: Date.now() - started };
+    } catch (error) {
+      return { status: 'fail', error: error.message, latencyMs: Date.now() - started };
+    } finally {
+      clearTimeout(timer);
+    }
+  }
+
+  async _checkFirestore() {
+    if (storageBackend !== 'firestore') return { backend: storageBackend };
+
+    await getFirestore().collection('events').limit(1).get();
+    return { backend: storageBackend };
+  }
+
+  async _checkFcm() {
+    const transport = getTransport();
+    // Other transports are local — there is nothing to reach
+    if (transport.name !== 'fcm') return { transport: transport.name };
+
+    await transport.send(PROBE_MESSAGE, true);
+    return { transport: transport.name };
+  }
+
+  _checkListener() {
+    const { isInitialLoad, lastSnapshotAt } = notificationService;
+    const details = { lastSnapshotAt: lastSnapshotAt ? lastSnapshotAt.toISOString() : null };
+
+    if (isInitialLoad) {
+      return { status: 'fail', ...details, error: 'Initial load not complete' };
+    }
+    if (
+      MAX_SNAPSHOT_AGE_MINUTES > 0 &&
+      Date.now() - lastSnapshotAt.getTime() > MAX_SNAPSHOT_AGE_MINUTES * 60_000
+    ) {
+      return {
+        status: 'fail',
+        ...details,
+        error: `No snapshot in the last ${MAX_SNAPSHOT_AGE_MINUTES} minutes`,
+      };
+    }
+    return { status: 'ok', ...details };
+  }
+
+  _checkDailyReminders() {
+    const { scheduledAt, lastRunAt, lastSuccessAt } = notificationService.dailyReminders;
+    const details = {
+      lastRunAt: lastRunAt ? lastRunAt.toISOString() : null,
+      lastSuccessAt: lastSuccessAt ? lastSuccessAt.toISOString() : null,
+      lastRunSucceeded: lastRunAt ? Boolean(lastSuccessAt && lastSuccessAt >= lastRunAt) : null,
+    };
+
+    if (!scheduledAt) {
+      return { status: 'fail', ...details, error: 'Not scheduled' };
+    }
+    // A failed run is reported but doesn't fail readiness — taking the
+    // instance out of rotation wouldn't make the next run succeed
+    if (Date.now() - (lastRunAt || scheduledAt).getTime() > CRON_OVERDUE_MS) {
+      return { status: 'fail', ...details, error: 'Overdue — no run in the last 25 hours' };
+    }
+    return { status: 'ok', ...details };
+  }
+}
+
+module.exports = new HealthService();
@@ -0,0 +1,63 @@
+const { notificationLogs, notificationErrors } = require('./repositories');
+
+const SOURCES = { logs: notificationLogs, errors: notificationErrors };
+
+/**
+ * Notification History
+ * Filtered, cursor-paginated reads over notification_logs and
+ * notification_errors, newest first. Cursors are opaque to clients: they
+ * encode the (sentAt, id) of the last record on the previous page.
+ */
+class HistoryService {
+  /* =========================================================
+   * LIST A PAGE
+   * `source` is 'logs' or 'errors'; `after` comes from decodeCursor.
+   * Payloads are left out of listings — fetch a single entry for those.
+   * ======================================================= */
+  async list(source, { filters, from, to, after, limit }) {
+    const records = await SOURCES[source].query({ filters, from, to, after, limit: limit + 1 });
+    const page = records.slice(0, limit);
+
+    return {
+      entries: page.map(withoutPayload),
+      nextCursor: records.length > limit ? encodeCursor(page[page.length - 1]) : null,
+    };
+  }
+
+  /* =========================================================
+   * GET ONE ENTRY (including the FCM payload that was sent)
+   * ======================================================= */
+  async get(source, id) {
+    const entry = await SOURCES[source].get(id);
+    if (!entry) {
+      throw new Error('Log entry not found');
+    }
+    return entry;
+  }
+
+  // Returns { sentAt, id }, or null if the cursor is malformed
+  decodeCursor(cursor) {
+    try {
+      const { t, id } = JSON.parse(Buffer.from(cursor, 'base64url').toString());
+      const sentAt = new Date(t);
+      if (typeof id !== 'string' || isNaN(sentAt.getTime())) return null;
+      return { sentAt, id };
+    } catch {
+      return null;
+    }
+  }
+}
+
+function withoutPayload(entry) {
+  // eslint-disable-next-line no-unused-vars
+  const { payload, ...rest } = entry;
+  return rest;
+}
+
+function encodeCursor(record) {
+  return Buffer.from(JSON.stringify({ t: record.sentAt.getTime(), id: record.id })).toString(
+    'base64url'
+  );
+}
+
+module.exports = new HistoryService();
@@ -0,0 +1,208 @@
+const crypto = require('crypto');
+const notificationService = require('./notificationservice');
+const templates = require('./templateservice');
+const webhooks = require('./webhooks');
+const { inboundHooks } = require('./repositories');
+const logger = require('./logger');
+
+// Requests signed further than this from our clock are rejected
+const TIMESTAMP_TOLERANCE_SECONDS = 5 * 60;
+
+// Mapped values end up in FCM data, where each value is capped
+const MAX_MAPPED_VALUE_LENGTH = 500;
+
+const DATE_FIELDS = ['createdAt', 'updatedAt', 'lastTriggeredAt'];
+
+/**
+ * Inbound Hooks
+ * Pre-approved notifications that external systems (ticketing, CMS) fire
+ * with POST /api/hooks/:hookId instead of an API key. A hook pins the
+ * target and template; the request only supplies values, picked out of its
+ * JSON body by the hook's mapping (dot paths):
+ *   {
+ *     "vars": { "subject": "ticket.subject" },   template variables
+ *     "data": { "ticketId": "ticket.id" }        extra data payload keys
+ *   }
+ * The hook's own `data` adds fixed keys that mapped values can't override.
+ *
+ * Requests are signed like outbound webhooks (see webhooks.js):
+ * X-Webhook-Timestamp (unix seconds) and X-Webhook-Signature:
+ * sha256=<hex HMAC-SHA256 of "<timestamp>.<raw body>">, keyed with the
+ * hook's secret. The timestamp must be within 5 minutes, and each
+ * signature is accepted only once.
+ */
+class InboundHookService {
+  /* =========================================================
+   * HOOK DEFINITIONS
+   * The secret is only returned by create.
+   * ======================================================= */
+  async create({ name, target, template, mapping = {}, data = {}, createdBy = null }) {
+    // Throws 'Template not found'
+    await templates.get(template);
+
+    const secret = `hksec_${crypto.randomBytes(32).toString('base64url')}`;
+    const now = new Date();
+    const record = {
+      name,
+      target,
+      template,
+      mapping: { vars: mapping.vars || {}, data: mapping.data || {} },
+      data,
+      secret,
+      active: true,
+      createdAt: now,
+      updatedAt: now,
+      createdBy,
+      lastTriggeredAt: null,
+    };
+
+    const id = await inboundHooks.create(record);
+    logger.info('Created inbound hook', { hookId: id, name, template });
+
+    return { secret, hook: this._serialize({ id, ...record }) };
+  }
+
+  async list() {
+    const records = await inboundHooks.list();
+    return records.map((record) => this._serialize(record));
+  }
+
+  async get(id) {
+    return this._serialize(await this._load(id));
+  }
+
+  // `updates` may change name, target, template, mapping, data and active
+  async update(id, updates) {
+    const record = await this._load(id);
+    if (updates.template) {
+      await templates.get(updates.template);
+    }
+
+    const fields = { ...updates, updatedAt: new Date() };
+    if (updates.mapping) {
+      fields.mapping = { vars: updates.mapping.vars || {}, data: updates.mapping.data || {} };
+    }
+
+    await inboundHooks.update(id, fields);
+    logger.info('Updated inbound hook', { hookId: id });
+    return this._serialize({ ...record, ...fields });
+  }
+
+  async delete(id) {
+    if (!(await inboundHooks.delete(id))) {
+      throw new Error('Hook not found');
+    }
+    logger.info('Deleted inbound hook', { hookId: id });
+  }
+
+  /* =========================================================
+   * VERIFY A SIGNED REQUEST
+   * Returns the hook, or throws 'Hook not found', 'Invalid timestamp' or
+   * 'Invalid signature'. Replays are caught by claim(), once the request
+   * has passed the hook's limits.
+   * ======================================================= */
+  async verify(id, { timestamp, signature, rawBody }) {
+    const hook = await inboundHooks.get(id);
+    if (!hook || !hook.active) {
+      throw new Error('Hook not found');
+    }
+
+    const seconds = Number(timestamp);
+    if (
+      !/^\d{1,12}$/.test(timestamp || '') ||
+      Math.abs(Date.now() / 1000 - seconds) > TIMESTAMP_TOLERANCE_SECONDS
+    ) {
+      throw new Error('Invalid timestamp');
+    }
+
+    const expected = Buffer.from(`sha256=${webhooks.sign(hook.secret, timestamp, rawBody)}`);
+    const provided = Buffer.from(signature || '');
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      throw new Error('Invalid signature');
+    }
+
+    return hook;
+  }
+
+  // Records a verified request's signature, throwing 'Request already
+  // processed' if it was seen before. Claims outlive the tolerance window,
+  // after which the timestamp check rejects a replay anyway.
+  async claim(hook, { timestamp, signature }) {
+    const expiresAt = new Date((Number(timestamp) + TIMESTAMP_TOLERANCE_SECONDS) * 1000);
+    const key = `${hook.id}_${signature.slice('sha256='.length)}`;
+    if (!(await inboundHooks.claimSignature(key, expiresAt))) {
+      throw new Error('Request already processed');
+    }
+  }
+
+  /* =========================================================
+   * TRIGGER
+   * Renders the hook's template with values from the request body and
+   * sends it to the hook's target. All-users hooks go out per locale.
+   * ======================================================= */
+  async trigger(hook, payload, options = {}) {
+    const vars = pickValues(payload, hook.mapping.vars);
+    // `type` last: the payload must not change what the hook was approved to send
+    const data = { ...pickValues(payload, hook.mapping.data), ...hook.data, type: hook.template };
+
+    let result;
+    if (hook.target.type === 'all') {
+      result = await notificationService.sendLocalizedToAll(hook.template, vars, data, options);
+    } else {
+      const { title, body } = await templates.render(hook.template, vars);
+      result = await notificationService.sendToTarget(hook.target, title, body, data, options);
+    }
+
+    inboundHooks
+      .update(hook.id, { lastTriggeredAt: new Date() })
+      .catch((error) =>
+        logger.error('Failed to update lastTriggeredAt for hook', { hookId: hook.id, error })
+      );
+
+    return result;
+  }
+
+  /* =========================================================
+   * PRIVATE HELPERS
+   * ======================================================= */
+
+  async _load(id) {
+    const record = await inboundHooks.get(id);
+    if (!record) {
+      throw new Error('Hook not found');
+    }
+    return record;
+  }
+
+  // Never expose the secret; dates as ISO strings
+  _serialize(record) {
+    // eslint-disable-next-line no-unused-vars
+    const { secret, ...out } = record;
+
+    for (const key of DATE_FIELDS) {
+      if (out[key]) out[key] = out[key].toISOString();
+    }
+    return out;
+  }
+}
+
+// Resolves each mapped dot path in `payload`; only strings, numbers and
+// booleans are taken, as strings. Missing values are left out, so template
+// fallbacks ({{name|fallback}}) apply.
+function pickValues(payload, mapping) {
+  const out = {};
+  for (const [key, path] of Object.entries(mapping)) {
+    let value = payload;
+    for (const part of path.split('.')) {
+      const isObject = value !== null && typeof value === 'object';
+      value = isObject && Object.hasOwn(value, part) ? value[part] : undefined;
+    }
+
+    if (['string', 'number', 'boolean'].includes(typeof value)) {
+      out[key] = String(value).slice(0, MAX_MAPPED_VALUE_LENGTH);
+    }
+  }
+  return out;
+}
+
+module.exports = new InboundHookService();
@@ -3,11 +3,34 @@ require('dotenv').config();
 const express = require('express');
 const cors = require('cors');
 const helmet = require('helmet');
-const morgan = require('morgan');
 
 const { initializeFirebase } = require('./firebase');
+const { getTransport } = require('./transports');
+const repositories = require('./repositories');
 const notificationService = require('./notificationservice');
+const scheduler = require('./scheduler');
+const webhooks = require('./webhooks');
+const logger = require('./logger');
+const { requestContext } = require('./middleware/requestContext');
+const { httpMetrics } = require('./middleware/metrics');
+const { rawJsonParser } = require('./middleware/hookSignature');
+const healthRoutes = require('./routes/healthRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
+const deviceRoutes = require('./routes/deviceRoutes');
+const topicRoutes = require('./routes/topicRoutes');
+const scheduledRoutes = require('./routes/scheduledRoutes');
+const deadLetterRoutes = require('./routes/deadLetterRoutes');
+const historyRoutes = require('./routes/historyRoutes');
+const trackingRoutes = require('./routes/trackingRoutes');
+const metricsRoutes = require('./routes/metricsRoutes');
+const apiKeyRoutes = require('./routes/apiKeyRoutes');
+const webhookRoutes = require('./routes/webhookRoutes');
+const hookRoutes = require('./routes/hookRoutes');
+const userRoleRoutes = require('./routes/userRoleRoutes');
+const devRoutes = require('./routes/devRoutes');
+
+// Routes whose bodies carry up to 1000 FCM tokens
+const BULK_ROUTES = ['/api/send-to-devices', '/api/topics', '/api/scheduled'];
 
 class NotificationServer {
   constructor() {
@@ -24,6 +47,9 @@ class NotificationServer {
       this.app.set('trust proxy', 1);
     }
 
+    // Request ID + access logging — first, so everything after runs in its context
+    this.app.use(requestContext);
+
     // Security headers (X-Content-Type-Options, X-Frame-Options, etc.)
     this.app.use(helmet());
 
@@ -43,21 +69,55 @@ class NotificationServer {
           if (allowedOrigins.includes(origin)) return callback(null, true);
           callback(new Error(`CORS: Origin "${origin}" is not allowed`));
         },
-        methods: ['GET', 'POST'],
-        allowedHeaders: ['Content-Type', 'x-api-key'],
+        methods: ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'],
+        allowedHeaders: [
+          'Content-Type',
+          'Authorization',
+          'x-api-key',
+          'Idempotency-Key',
+          'X-Request-Id',
+        ],
+        exposedHeaders: [
+          'Idempotent-Replayed',
+          'X-Quota-Remaining',
+          'X-Quota-Reset',
+          'X-Request-Id',
+        ],
       })
     );
 
-    // HTTP request logging
-    this.app.use(morgan(process.env.NODE_ENV === 'production' ? 'combined' : 'dev'));
+    // Prometheus request counters/latency (see GET /metrics)
+    this.app.use(httpMetrics);
 
     // Body parsers with size limits (prevents large payload attacks)
+    // Routes that accept token lists get a larger limit; the global parser
+    // skips bodies that were already parsed. Inbound hooks keep the raw
+    // bytes for signature checks.
+    this.app.use('/api/hooks', rawJsonParser);
+    this.app.use(BULK_ROUTES, express.json({ limit: '256kb' }));
     this.app.use(express.json({ limit: '16kb' }));
     this.app.use(express.urlencoded({ extended: true, limit: '16kb' }));
   }
 
   setupRoutes() {
+    this.app.use(metricsRoutes);
+    this.app.use('/api', healthRoutes);
     this.app.use('/api', notificationRoutes);
+    this.app.use('/api', deviceRoutes);
+    this.app.use('/api', topicRoutes);
+    this.app.use('/api', scheduledRoutes);
+    this.app.use('/api', deadLetterRoutes);
+    this.app.use('/api', historyRoutes);
+    this.app.use('/api', trackingRoutes);
+    this.app.use('/api', apiKeyRoutes);
+    this.app.use('/api', webhookRoutes);
+    this.app.use('/api', hookRoutes);
+    this.app.use('/api', userRoleRoutes);
+
+    // Capture-transport outbox for offline testing — never exposed in production
+    if (process.env.NODE_ENV !== 'production') {
+      this.app.use('/api', devRoutes);
+    }
 
     // 404 handler
     this.app.use((req, res) => {
@@ -67,10 +127,11 @@ class NotificationServer {
     // Global error handler — never exposes stack traces in production
     // eslint-disable-next-line no-unused-vars
     this.app.use((err, req, res, next) => {
-      console.error('❌ Unhandled server error:', err.message);
+      logger.error('Unhandled server error', { error: err });
       res.status(500).json({
         success: false,
         error: 'Internal server error',
+        requestId: req.id,
         ...(process.env.NODE_ENV !== 'production' && { message: err.message }),
       });
     });
@@ -90,18 +151,41 @@ class NotificationServer {
       warnings.push('API_KEY is too short — use at least 32 characters for security');
     }
 
+    if (!process.env.TRACKING_SECRET) {
+      if (process.env.NODE_ENV === 'production') {
+        errors.push('TRACKING_SECRET is required in production');
+      } else {
+        warnings.push('TRACKING_SECRET not set — tracking tokens stop verifying on restart');
+      }
+    }
+
     if (!process.env.FIREBASE_CREDENTIALS && process.env.NODE_ENV === 'production') {
       errors.push('FIREBASE_CREDENTIALS is required in production');
     }
 
+    if (
+      process.env.NODE_ENV === 'production' &&
+      (process.env.MESSAGING_TRANSPORT || 'fcm').toLowerCase() !== 'fcm'
+    ) {
+      errors.push('MESSAGING_TRANSPORT must be "fcm" in production');
+    }
+
+    if (process.env.NODE_ENV === 'production' && repositories.backend !== 'firestore') {
+      errors.push('STORAGE_BACKEND must be "firestore" in production');
+    }
+
+    if (process.env.NODE_ENV === 'production' && !process.env.METRICS_TOKEN) {
+      warnings.push('METRICS_TOKEN not set — GET /metrics is publicly readable');
+    }
+
     if (process.env.NODE_ENV === 'production' && !process.env.ALLOWED_ORIGINS) {
       warnings.push('ALLOWED_ORIGINS not set — all CORS origins are blocked in production');
     }
 
-    warnings.forEach((w) => console.warn(`⚠️  WARNING: ${w}`));
+    warnings.forEach((w) => logger.warn(w));
 
     if (errors.length > 0) {
-      errors.forEach((e) => console.error(`❌ ENV ERROR: ${e}`));
+      errors.forEach((e) => logger.error(`Environment: ${e}`));
       throw new Error('Missing required environment variables. Server cannot start.');
     }
   }
@@ -111,37 +195,38 @@ class NotificationServer {
       // Validate env vars before starting anything
       this.validateEnvironment();
 
-      // Initialize Firebase
-      initializeFirebase();
+      // Initialize Firebase — not needed when running fully offline
+      if (repositories.backend === 'firestore' || getTransport().name === 'fcm') {
+        initializeFirebase();
+      }
 
       // Start background services
       notificationService.startEventListener();
       notificationService.scheduleDailyReminders();
+      scheduler.start();
+      webhooks.start();
 
       // Start HTTP server
       this.server = this.app.listen(this.port, () => {
-        console.log('');
-        console.log('🚀 Push Notification Server started');
-        console.log(`📡 Port:        ${this.port}`);
-        console.log(`🌍 Environment: ${process.env.NODE_ENV || 'development'}`);
-        console.log(`🏥 Health:      http://localhost:${this.port}/api/health`);
-        console.log(`📊 Stats:       http://localhost:${this.port}/api/stats`);
-        console.log('');
+        logger.info('Push Notification Server started', {
+          port: this.port,
+          environment: process.env.NODE_ENV || 'development',
+        });
       });
 
       this.setupGracefulShutdown();
     } catch (error) {
-      console.error('❌ Failed to start server:', error.message);
+      logger.error('Failed to start server', { error });
       process.exit(1);
     }
   }
 
   setupGracefulShutdown() {
     const shutdown = (signal) => {
-      console.log(`\n${signal} received — shutting down gracefully...`);
+      logger.info('Shutting down gracefully', { signal });
       if (this.server) {
         this.server.close(() => {
-          console.log('✅ Server closed');
+          logger.info('Server closed');
           process.exit(0);
         });
       } else {
@@ -149,7 +234,7 @@ class NotificationServer {
       }
       // Force kill after 10 seconds if something hangs
       setTimeout(() => {
-        console.error('⚠️  Forced shutdown after timeout');
+        logger.error('Forced shutdown after timeout');
         process.exit(1);
       }, 10_000);
     };
@@ -160,11 +245,11 @@ class NotificationServer {
 
     // Catch unhandled errors so server doesn't crash silently
     process.on('unhandledRejection', (reason) => {
-      console.error('❌ Unhandled Promise Rejection:', reason);
+      logger.error('Unhandled promise rejection', { error: reason });
     });
 
     process.on('uncaughtException', (err) => {
-      console.error('❌ Uncaught Exception:', err.message);
+      logger.error('Uncaught exception', { error: err });
       process.exit(1);
     });
   }
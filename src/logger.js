@@ -0,0 +1,98 @@
+const { AsyncLocalStorage } = require('async_hooks');
+
+const LEVELS = { debug: 10, info: 20, warn: 30, error: 40 };
+
+// Context keys that identify the unit of work a log line or record belongs to
+const CORRELATION_KEYS = ['requestId', 'jobId', 'changeId'];
+
+/**
+ * Structured Logger
+ * One JSON object per line on stdout (stderr for warn/error):
+ *   { "time", "level", "msg", ...context, ...fields }
+ *
+ * Context is carried through async calls with AsyncLocalStorage, so
+ * everything logged while handling a request (or a listener change, or a
+ * cron run) carries its requestId (or changeId / jobId) without threading
+ * it through every call.
+ *
+ * LOG_LEVEL    debug | info (default) | warn | error
+ * LOG_FORMAT   json (default) | pretty — one readable line, for development
+ */
+class Logger {
+  constructor() {
+    this.storage = new AsyncLocalStorage();
+    this.minLevel = LEVELS[(process.env.LOG_LEVEL || 'info').toLowerCase()] ?? LEVELS.info;
+    this.pretty = (process.env.LOG_FORMAT || 'json').toLowerCase() === 'pretty';
+  }
+
+  debug(msg, fields) {
+    this._write('debug', msg, fields);
+  }
+
+  info(msg, fields) {
+    this._write('info', msg, fields);
+  }
+
+  warn(msg, fields) {
+    this._write('warn', msg, fields);
+  }
+
+  error(msg, fields) {
+    this._write('error', msg, fields);
+  }
+
+  /* =========================================================
+   * CONTEXT
+   * ======================================================= */
+
+  // Runs fn with `fields` added to the current context
+  runWithContext(fields, fn) {
+    return this.storage.run({ ...this.storage.getStore(), ...fields }, fn);
+  }
+
+  context() {
+    return this.storage.getStore() || {};
+  }
+
+  // { requestId } / { jobId } / { changeId } — stored on log records
+  correlation() {
+    const context = this.context();
+    const out = {};
+    for (const key of CORRELATION_KEYS) {
+      if (context[key]) out[key] = context[key];
+    }
+    return out;
+  }
+
+  /* =========================================================
+   * PRIVATE HELPERS
+   * ======================================================= */
+
+  _write(level, msg, fields = {}) {
+    if (LEVELS[level] < this.minLevel) return;
+
+    const entry = { time: new Date().toISOString(), level, msg, ...this.context() };
+    for (const [key, value] of Object.entries(fields)) {
+      entry[key] = value instanceof Error ? this._serializeError(value) : value;
+    }
+
+    const stream = LEVELS[level] >= LEVELS.warn ? process.stderr : process.stdout;
+    stream.write(`${this.pretty ? prettyLine(entry) : JSON.stringify(entry)}\n`);
+  }
+
+  // Stack traces only at debug level — they are noisy and rarely needed
+  _serializeError(error) {
+    return {
+      message: error.message,
+      ...(error.code && { code: error.code }),
+      ...(this.minLevel <= LEVELS.debug && { stack: error.stack }),
+    };
+  }
+}
+
+function prettyLine({ time, level, msg, ...rest }) {
+  const extra = Object.keys(rest).length > 0 ? ` ${JSON.stringify(rest)}` : '';
+  return `${time.slice(11, 23)} ${level.toUpperCase().padEnd(5)} ${msg}${extra}`;
+}
+
+module.exports = new Logger();
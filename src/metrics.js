@@ -0,0 +1,147 @@
+const client = require('prom-client');
+
+/* =========================================================
+ * PROMETHEUS METRICS
+ * Served at GET /metrics (see routes/metricsRoutes.js). Everything lives
+ * in one registry with a push_ prefix, alongside Node process metrics.
+ *
+ * Suggested alerts:
+ *   push_event_listener_up == 0 for 5m           listener down
+ *   time() - push_event_listener_last_snapshot_timestamp_seconds > 3600
+ *                                                no snapshot for an hour
+ *   time() - push_cron_last_success_timestamp_seconds{job="daily_reminders"}
+ *     > 90000                                    daily reminders missed
+ * ======================================================= */
+
+const register = new client.Registry();
+client.collectDefaultMetrics({ register, prefix: 'push_' });
+
+// Sends, counted per message like /api/stats (a topic send is one)
+const notificationsTotal = new client.Counter({
+  name: 'push_notifications_total',
+  help: 'Notifications sent, by type, target and outcome (sent or failed)',
+  labelNames: ['type', 'target', 'outcome'],
+  registers: [register],
+});
+
+const transportDuration = new client.Histogram({
+  name: 'push_fcm_request_duration_seconds',
+  help: 'Latency of messaging transport calls (each attempt, including retries)',
+  labelNames: ['transport', 'method', 'outcome'],
+  buckets: [0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register],
+});
+
+const errorLogWriteFailures = new client.Counter({
+  name: 'push_error_log_write_failures_total',
+  help: 'Failed writes of send errors to notification_errors',
+  registers: [register],
+});
+
+const listenerUp = new client.Gauge({
+  name: 'push_event_listener_up',
+  help: '1 while the event listener is subscribed and past its initial load',
+  registers: [register],
+});
+
+const listenerRestarts = new client.Counter({
+  name: 'push_event_listener_restarts_total',
+  help: 'Event listener restarts after an error',
+  registers: [register],
+});
+
+const listenerChanges = new client.Counter({
+  name: 'push_event_listener_changes_total',
+  help: 'Event changes processed by the listener, by change type',
+  labelNames: ['type'],
+  registers: [register],
+});
+
+const listenerLastSnapshot = new client.Gauge({
+  name: 'push_event_listener_last_snapshot_timestamp_seconds',
+  help: 'Unix time of the last snapshot delivered to the event listener',
+  registers: [register],
+});
+
+const cronRuns = new client.Counter({
+  name: 'push_cron_runs_total',
+  help: 'Cron job runs, by job and outcome (success or failure)',
+  labelNames: ['job', 'outcome'],
+  registers: [register],
+});
+
+const cronLastSuccess = new client.Gauge({
+  name: 'push_cron_last_success_timestamp_seconds',
+  help: 'Unix time of the last successful run of each cron job',
+  labelNames: ['job'],
+  registers: [register],
+});
+
+const httpRequests = new client.Counter({
+  name: 'push_http_requests_total',
+  help: 'HTTP requests, by method, route and status code',
+  labelNames: ['method', 'route', 'status'],
+  registers: [register],
+});
+
+const httpDuration = new client.Histogram({
+  name: 'push_http_request_duration_seconds',
+  help: 'HTTP request latency, by method and route',
+  labelNames: ['method', 'route'],
+  buckets: [0.01, 0.05, 0.1, 0.25, 0.5, 1, 2.5, 5, 10],
+  registers: [register],
+});
+
+const webhookDeliveries = new client.Counter({
+  name: 'push_webhook_deliveries_total',
+  help: 'Webhook delivery attempts, by event type and outcome',
+  labelNames: ['type', 'outcome'],
+  registers: [register],
+});
+
+const TRANSPORT_METHODS = [
+  'send',
+  'sendEachForMulticast',
+  'subscribeToTopic',
+  'unsubscribeFromTopic',
+];
+
+// Times every call on a messaging transport (see transports/index.js)
+function instrumentTransport(transport) {
+  for (const method of TRANSPORT_METHODS) {
+    const original = transport[method].bind(transport);
+    transport[method] = async (...args) => {
+      const end = transportDuration.startTimer({ transport: transport.name, method });
+      try {
+        const result = await original(...args);
+        end({ outcome: 'success' });
+        return result;
+      } catch (error) {
+        end({ outcome: 'error' });
+        throw error;
+      }
+    };
+  }
+  return transport;
+}
+
+// Records one cron run; `job` is a stable name such as daily_reminders
+function recordCronRun(job, succeeded) {
+  cronRuns.inc({ job, outcome: succeeded ? 'success' : 'failure' });
+  if (succeeded) cronLastSuccess.set({ job }, Date.now() / 1000);
+}
+
+module.exports = {
+  register,
+  notificationsTotal,
+  errorLogWriteFailures,
+  listenerUp,
+  listenerRestarts,
+  listenerChanges,
+  listenerLastSnapshot,
+  httpRequests,
+  httpDuration,
+  webhookDeliveries,
+  instrumentTransport,
+  recordCronRun,
+};
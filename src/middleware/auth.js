@@ -1,46 +1,185 @@
 const crypto = require('crypto');
+const apiKeys = require('../apikeys');
+const userRoles = require('../userroles');
+const quotas = require('../quotas');
+const { getAuth } = require('../firebase');
+const logger = require('../logger');
+
+// Identity of the bootstrap key from the API_KEY environment variable
+const ENV_KEY_IDENTITY = { id: 'env', name: 'API_KEY', scopes: ['admin'] };
+
+// Identity used when authentication is disabled in development
+const DEV_IDENTITY = { id: 'dev', name: 'development', scopes: ['admin'] };
+
+// verifyIdToken error codes that mean "bad credentials" rather than an outage
+const ID_TOKEN_ERRORS = [
+  'auth/argument-error',
+  'auth/id-token-expired',
+  'auth/id-token-revoked',
+  'auth/invalid-id-token',
+  'auth/user-disabled',
+  'auth/user-not-found',
+];
 
 /**
- * API Key Authentication Middleware
- * All protected routes require the header: x-api-key: YOUR_API_KEY
+ * Authentication Middleware
+ * All protected routes require one of:
+ *   x-api-key: YOUR_API_KEY                — services
+ *   Authorization: Bearer <Firebase ID token> — staff with a `role` claim
+ *
+ * API keys are the bootstrap API_KEY (full admin access) or scoped keys
+ * issued through /api/api-keys; the key identity is attached as req.apiKey.
+ * ID-token callers are attached as req.user.
  */
-const authenticate = (req, res, next) => {
+const authenticate = async (req, res, next) => {
+  const providedKey = req.headers['x-api-key'];
+  const bearer = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+
+  if (bearer) {
+    return authenticateIdToken(bearer[1], req, res, next);
+  }
+
   // In development with no API_KEY set, skip auth with a warning
-  if (!process.env.API_KEY) {
+  if (!process.env.API_KEY && !providedKey) {
     if (process.env.NODE_ENV === 'production') {
-      console.error('❌ FATAL: API_KEY is not set in production!');
+      logger.error('API_KEY is not set in production');
       return res.status(500).json({ error: 'Server misconfiguration' });
     }
-    console.warn('⚠️  WARNING: API_KEY not set — authentication is disabled (development only)');
+    logger.warn('API_KEY not set — authentication is disabled (development only)');
+    req.apiKey = DEV_IDENTITY;
     return next();
   }
 
-  const providedKey = req.headers['x-api-key'];
-
   if (!providedKey) {
     return res.status(401).json({
       success: false,
-      error: 'Missing x-api-key header',
+      error: 'Missing x-api-key or Authorization header',
     });
   }
 
-  // Constant-time comparison prevents timing attacks
-  const expectedBuffer = Buffer.from(process.env.API_KEY);
-  const providedBuffer = Buffer.from(providedKey);
+  if (process.env.API_KEY) {
+    // Constant-time comparison prevents timing attacks
+    const expectedBuffer = Buffer.from(process.env.API_KEY);
+    const providedBuffer = Buffer.from(providedKey);
+
+    const keysMatch =
+      expectedBuffer.length === providedBuffer.length &&
+      crypto.timingSafeEqual(expectedBuffer, providedBuffer);
 
-  const keysMatch =
-    expectedBuffer.length === providedBuffer.length &&
-    crypto.timingSafeEqual(expectedBuffer, providedBuffer);
+    if (keysMatch) {
+      req.apiKey = ENV_KEY_IDENTITY;
+      return next();
+    }
+  }
 
-  if (!keysMatch) {
-    console.warn(`⚠️  Unauthorized request from IP: ${req.ip}`);
+  let apiKey;
+  try {
+    apiKey = await apiKeys.verify(providedKey);
+  } catch (error) {
+    logger.error('API key lookup failed', { error });
+    return res.status(503).json({
+      success: false,
+      error: 'Authentication is temporarily unavailable',
+    });
+  }
+
+  if (!apiKey) {
+    logger.warn('Unauthorized request', { ip: req.ip });
     return res.status(401).json({
       success: false,
       error: 'Invalid API key',
     });
   }
 
+  req.apiKey = apiKey;
   next();
 };
 
-module.exports = { authenticate };
\ No newline at end of file
+// Verifies a Firebase ID token and maps its `role` claim to scopes
+async function authenticateIdToken(idToken, req, res, next) {
+  let decoded;
+  try {
+    // checkRevoked makes a role revocation take effect immediately
+    decoded = await getAuth().verifyIdToken(idToken, true);
+  } catch (error) {
+    if (ID_TOKEN_ERRORS.includes(error.code)) {
+      logger.warn('Rejected ID token', { ip: req.ip, code: error.code });
+      return res.status(401).json({
+        success: false,
+        error: 'Invalid or expired ID token',
+      });
+    }
+    logger.error('ID token verification failed', { error });
+    return res.status(503).json({
+      success: false,
+      error: 'Authentication is temporarily unavailable',
+    });
+  }
+
+  const scopes = userRoles.scopesFor(decoded.role);
+  if (scopes.length === 0) {
+    logger.warn('User has no notification role', { uid: decoded.uid });
+    return res.status(403).json({
+      success: false,
+      error: 'User has no notification role',
+    });
+  }
+
+  req.user = { uid: decoded.uid, email: decoded.email || null, role: decoded.role, scopes };
+  next();
+}
+
+/**
+ * Identifies the authenticated caller in records (createdBy fields etc.)
+ */
+const callerId = (req) => (req.user ? `user:${req.user.uid}` : req.apiKey.id);
+
+/**
+ * True if the authenticated caller has the scope (admin has them all).
+ */
+const hasScope = (req, scope) => apiKeys.hasScope(req.user || req.apiKey, scope);
+
+/**
+ * Scope needed to send to a target description: whole audiences need
+ * send:broadcast, known devices need send:device.
+ */
+const targetScope = (target) =>
+  quotas.targetKind(target) === 'broadcast' ? 'send:broadcast' : 'send:device';
+
+/**
+ * Scope check — must run after authenticate.
+ * Passes if the caller has ANY of the given scopes (admin has them all).
+ */
+const requireScope =
+  (...scopes) =>
+  (req, res, next) => {
+    if (scopes.some((scope) => hasScope(req, scope))) {
+      return next();
+    }
+
+    logger.warn('Caller lacks required scope', { caller: callerId(req), scopes });
+    res.status(403).json({
+      success: false,
+      error: `Missing required scope: ${scopes.join(' or ')}`,
+    });
+  };
+
+/**
+ * Scope check for routes that take a `target` in the body (scheduled
+ * notifications) — must run after the body is validated.
+ */
+const requireTargetScope = (req, res, next) => {
+  const target = req.body?.target;
+  if (!target) return next();
+
+  return requireScope(targetScope(target))(req, res, next);
+};
+
+module.exports = {
+  authenticate,
+  requireScope,
+  requireTargetScope,
+  callerId,
+  hasScope,
+  targetScope,
+};
@@ -0,0 +1,89 @@
+const express = require('express');
+const inboundHooks = require('../inboundhooks');
+const logger = require('../logger');
+
+// Bodies are small JSON documents from ticketing/CMS systems
+const MAX_BODY_SIZE = '64kb';
+
+// verify() errors that mean the request is not authentic
+const REJECTIONS = ['Invalid timestamp', 'Invalid signature'];
+
+/**
+ * JSON parser for /api/hooks that keeps the exact request bytes as
+ * req.rawBody — the signature covers those, not the re-serialized JSON.
+ * Mounted ahead of the global parser, which then skips these bodies.
+ */
+const rawJsonParser = express.json({
+  limit: MAX_BODY_SIZE,
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+});
+
+/**
+ * Inbound Hook Signature Check
+ * Verifies X-Webhook-Timestamp / X-Webhook-Signature against the hook's
+ * secret (see inboundhooks.js) and attaches the hook as req.hook. The hook
+ * also becomes req.apiKey, so its sends are attributed to it and rate
+ * limits and quotas apply per hook.
+ */
+const verifyHookSignature = async (req, res, next) => {
+  if (!req.is('application/json')) {
+    return res.status(415).json({ success: false, error: 'Content-Type must be application/json' });
+  }
+
+  try {
+    const hook = await inboundHooks.verify(req.params.hookId, {
+      timestamp: req.get('X-Webhook-Timestamp'),
+      signature: req.get('X-Webhook-Signature'),
+      rawBody: req.rawBody || Buffer.alloc(0),
+    });
+
+    req.hook = hook;
+    req.apiKey = { id: `hook:${hook.id}`, name: hook.name, scopes: [], limits: {} };
+    next();
+  } catch (error) {
+    if (error.message === 'Hook not found') {
+      return res.status(404).json({ success: false, error: error.message });
+    }
+    if (REJECTIONS.includes(error.message)) {
+      logger.warn('Rejected inbound hook request', {
+        hookId: req.params.hookId,
+        reason: error.message,
+        ip: req.ip,
+      });
+      return res.status(401).json({ success: false, error: error.message });
+    }
+
+    logger.error('Inbound hook verification failed', { error });
+    res.status(500).json({ success: false, error: 'Failed to verify request' });
+  }
+};
+
+/**
+ * Inbound Hook Replay Check — runs after the hook's rate limit and quota,
+ * so a request refused there can be retried with the same signature.
+ */
+const claimHookSignature = async (req, res, next) => {
+  try {
+    await inboundHooks.claim(req.hook, {
+      timestamp: req.get('X-Webhook-Timestamp'),
+      signature: req.get('X-Webhook-Signature'),
+    });
+    next();
+  } catch (error) {
+    if (error.message === 'Request already processed') {
+      logger.warn('Rejected inbound hook request', {
+        hookId: req.hook.id,
+        reason: error.message,
+        ip: req.ip,
+      });
+      return res.status(401).json({ success: false, error: error.message });
+    }
+
+    logger.error('Inbound hook replay check failed', { error });
+    res.status(500).json({ success: false, error: 'Failed to verify request' });
+  }
+};
+
+module.exports = { rawJsonParser, verifyHookSignature, claimHookSignature };
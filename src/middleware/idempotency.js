@@ -0,0 +1,135 @@
+const crypto = require('crypto');
+const { idempotencyKeys } = require('../repositories');
+const { callerId } = require('./auth');
+const logger = require('../logger');
+
+/**
+ * Idempotency Middleware
+ * Send routes accept an optional header: Idempotency-Key: <unique string>
+ *
+ * - First request with a key runs normally; a successful (2xx) response is
+ *   stored and replayed for any repeat of the same key within the TTL, so a
+ *   caller retrying after a timeout never sends the notification twice.
+ * - A repeat that arrives while the first is still running gets 409. If the
+ *   first never finishes (its instance died), the key is taken over once
+ *   its claim is older than LEASE_MS.
+ * - Reusing a key with a different request body gets 422.
+ * - Failed responses are not stored, so the caller can retry with the same key.
+ * - Dry runs send nothing and bypass this entirely.
+ * - Keys are scoped to the caller, so two clients can use the same key
+ *   without seeing each other's responses.
+ *
+ * Records live in the idempotency repository (`idempotency_keys` in
+ * Firestore) and expire after IDEMPOTENCY_TTL_HOURS.
+ */
+
+const TTL_MS = (parseInt(process.env.IDEMPOTENCY_TTL_HOURS, 10) || 24) * 60 * 60 * 1000;
+const MAX_KEY_LENGTH = 255;
+
+// An in-progress claim older than this is assumed abandoned. Long enough
+// for the slowest send (a large multicast with every retry) to finish.
+const LEASE_MS = 5 * 60 * 1000;
+
+const hash = (value) => crypto.createHash('sha256').update(value).digest('hex');
+
+const idempotency = async (req, res, next) => {
+  const key = req.get('Idempotency-Key');
+  if (key === undefined || req.dryRun) return next();
+
+  if (key.length === 0 || key.length > MAX_KEY_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `Idempotency-Key must be 1-${MAX_KEY_LENGTH} characters`,
+    });
+  }
+
+  const id = hash(`${callerId(req)}:${req.method}:${req.originalUrl}:${key}`);
+  const fingerprint = hash(JSON.stringify(req.body || {}));
+  const claimId = crypto.randomUUID();
+
+  let existing;
+  try {
+    existing = await idempotencyKeys.mutate(id, (current) => {
+      const now = new Date();
+      if (current && isLive(current, now)) {
+        return { write: null, result: current };
+      }
+
+      if (current?.status === 'in_progress') {
+        logger.warn('Taking over abandoned Idempotency-Key claim', { path: req.originalUrl });
+      }
+
+      return {
+        write: {
+          status: 'in_progress',
+          fingerprint,
+          path: req.originalUrl,
+          claimId,
+          claimedAt: now,
+          createdAt: now,
+          expiresAt: new Date(now.getTime() + TTL_MS),
+        },
+        result: null,
+      };
+    });
+  } catch (error) {
+    // Without the store we cannot guarantee at-most-once — refuse rather than risk a duplicate
+    logger.error('Idempotency store error', { error });
+    return res.status(503).json({ success: false, error: 'Idempotency store unavailable' });
+  }
+
+  if (existing) {
+    if (existing.fingerprint !== fingerprint) {
+      return res.status(422).json({
+        success: false,
+        error: 'Idempotency-Key was already used with a different request body',
+      });
+    }
+    if (existing.status === 'in_progress') {
+      return res.status(409).json({
+        success: false,
+        error: 'A request with this Idempotency-Key is still in progress',
+      });
+    }
+
+    logger.info('Replaying stored response for Idempotency-Key', { path: req.originalUrl });
+    res.set('Idempotent-Replayed', 'true');
+    return res.status(existing.statusCode).json(JSON.parse(existing.responseBody));
+  }
+
+  // Capture the handler's response so it can be replayed later. Failures
+  // release the claim so the caller can retry with the same key.
+  const originalJson = res.json.bind(res);
+  res.json = (body) => {
+    const outcome =
+      res.statusCode >= 200 && res.statusCode < 300
+        ? {
+            status: 'completed',
+            statusCode: res.statusCode,
+            responseBody: JSON.stringify(body),
+            completedAt: new Date(),
+          }
+        : { status: 'released', releasedAt: new Date() };
+
+    // Only while we still hold the claim — after a takeover it isn't ours
+    idempotencyKeys
+      .mutate(id, (current) => ({
+        write: current?.claimId === claimId ? { ...current, ...outcome } : null,
+      }))
+      .catch((error) => logger.error('Failed to store idempotent response', { error }));
+
+    return originalJson(body);
+  };
+
+  next();
+};
+
+// A record blocks new claims while it is a stored response, or an
+// in-progress claim within its lease; released or expired records don't.
+function isLive(record, now) {
+  if (record.expiresAt <= now) return false;
+  if (record.status === 'completed') return true;
+  return record.status === 'in_progress' && now - record.claimedAt < LEASE_MS;
+}
+
+module.exports = { idempotency };
@@ -0,0 +1,22 @@
+const metrics = require('../metrics');
+
+/**
+ * HTTP Metrics Middleware
+ * Counts and times every request by its route pattern (/api/logs/:id, not
+ * the concrete URL) to keep label cardinality bounded. Requests that match
+ * no route are reported as "unmatched".
+ */
+const httpMetrics = (req, res, next) => {
+  const end = metrics.httpDuration.startTimer();
+
+  res.on('finish', () => {
+    const route = req.route ? `${req.baseUrl}${req.route.path}` : 'unmatched';
+    const labels = { method: req.method, route };
+    end(labels);
+    metrics.httpRequests.inc({ ...labels, status: res.statusCode });
+  });
+
+  next();
+};
+
+module.exports = { httpMetrics };
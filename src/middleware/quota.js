@@ -0,0 +1,91 @@
+const quotas = require('../quotas');
+const { callerId } = require('./auth');
+const logger = require('../logger');
+
+/**
+ * Daily Quota Middleware — must run after authenticate and validation.
+ *   enforceQuota('broadcast')                  one unit per request
+ *   enforceQuota('device', (req) => n)         n units (e.g. token count)
+ *   enforceTargetQuota                         kind and units from
+ *                                              req.body.target
+ *
+ * Dry runs are free, and requests that end in an error (4xx/5xx after this
+ * point, i.e. nothing was sent) are refunded. The charge is left in
+ * req.quotaCharge for handlers that may need to refund it later.
+ * Remaining budget is reported in X-Quota-Remaining / X-Quota-Reset.
+ */
+const consumeQuota = async (req, res, next, kind, amount) => {
+  if (req.dryRun) return next();
+
+  const clientId = callerId(req);
+  const limits = quotas.limitsFor(req.user || req.apiKey);
+
+  const chargedAt = new Date();
+  let budget;
+  try {
+    budget = await quotas.consume(clientId, kind, amount, limits[quotas.limitField(kind)]);
+  } catch (error) {
+    logger.error('Quota check failed', { error });
+    return res.status(503).json({ success: false, error: 'Quota service unavailable' });
+  }
+
+  res.set('X-Quota-Remaining', String(budget.remaining));
+  res.set('X-Quota-Reset', budget.resetAt.toISOString());
+
+  if (!budget.allowed) {
+    logger.warn('Daily quota exceeded', {
+      client: clientId,
+      kind,
+      used: budget.used,
+      limit: budget.limit,
+    });
+    return res.status(429).json({
+      success: false,
+      error: `Daily ${kind} quota exceeded`,
+      quota: {
+        kind,
+        limit: budget.limit,
+        used: budget.used,
+        requested: amount,
+        resetAt: budget.resetAt.toISOString(),
+      },
+    });
+  }
+
+  req.quotaCharge = { clientId, kind, amount, chargedAt };
+
+  res.on('finish', () => {
+    if (res.statusCode >= 400) {
+      quotas
+        .refund(clientId, kind, amount)
+        .catch((error) => logger.error('Quota refund failed', { error }));
+    }
+  });
+
+  next();
+};
+
+const enforceQuota =
+  (kind, count = () => 1) =>
+  (req, res, next) =>
+    consumeQuota(req, res, next, kind, count(req));
+
+// Charges a send to a target description (see quotas.targetUnits)
+const consumeTargetQuota = async (req, res, next, target) => {
+  if (req.dryRun) return next();
+
+  let amount;
+  try {
+    amount = await quotas.targetUnits(target);
+  } catch (error) {
+    logger.error('Quota check failed', { error });
+    return res.status(503).json({ success: false, error: 'Quota service unavailable' });
+  }
+  return consumeQuota(req, res, next, quotas.targetKind(target), amount);
+};
+
+// Scheduled notifications: broadcast or device budget depending on the target
+const enforceTargetQuota = (req, res, next) =>
+  consumeTargetQuota(req, res, next, req.body.target);
+
+module.exports = { enforceQuota, enforceTargetQuota, consumeTargetQuota };
@@ -0,0 +1,87 @@
+const rateLimit = require('express-rate-limit');
+const quotas = require('../quotas');
+const { SharedRateLimitStore } = require('../ratelimitstore');
+
+/* =========================================================
+ * RATE LIMITERS
+ * Keyed by the authenticated client (API key or staff user), falling
+ * back to IP for unauthenticated routes. Counters live in a shared store
+ * so limits survive deploys and apply across instances. Per-client limits
+ * come from the API key (see quotas.limitsFor).
+ * ======================================================= */
+
+// Window length per limiter, in minutes
+const WINDOW_MINUTES = { broadcast: 15, send: 15, read: 5 };
+
+const clientKey = (req) => {
+  if (req.user) return `user:${req.user.uid}`;
+  if (req.apiKey) return `key:${req.apiKey.id}`;
+  return `ip:${req.ip}`;
+};
+
+const limitFor = (field) => (req) => quotas.limitsFor(req.user || req.apiKey)[field];
+
+const createLimiter = (name, field) =>
+  rateLimit({
+    windowMs: WINDOW_MINUTES[name] * 60 * 1000,
+    limit: limitFor(field),
+    keyGenerator: clientKey,
+    store: new SharedRateLimitStore(name),
+    standardHeaders: true,
+    legacyHeaders: false,
+    message: { success: false, error: 'Too many requests. Please try again later.' },
+  });
+
+// Broadcasts reach every user — by far the strictest limit
+const broadcastLimiter = createLimiter('broadcast', 'broadcastRate');
+
+// Strict limit for other sends (prevents spam/abuse)
+const sendLimiter = createLimiter('send', 'sendRate');
+
+// Relaxed limit for read-only endpoints
+const readLimiter = createLimiter('read', 'readRate');
+
+// Device registration — apps re-register on every launch, so allow more
+const deviceLimiter = rateLimit({
+  windowMs: 5 * 60 * 1000,  // 5 minutes
+  max: 300,
+  keyGenerator: clientKey,
+  store: new SharedRateLimitStore('device'),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, error: 'Too many requests. Please try again later.' },
+});
+
+// Engagement tracking — public, keyed by IP; one device reports up to three
+// events per notification and many devices can share a carrier NAT address
+const trackLimiter = rateLimit({
+  windowMs: 5 * 60 * 1000,  // 5 minutes
+  max: 600,
+  keyGenerator: clientKey,
+  store: new SharedRateLimitStore('track'),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, error: 'Too many requests. Please try again later.' },
+});
+
+// Inbound hooks — public, keyed by IP until the signature has been checked;
+// the send itself then counts against the hook's own limits
+const hookLimiter = rateLimit({
+  windowMs: 5 * 60 * 1000,  // 5 minutes
+  max: 300,
+  keyGenerator: clientKey,
+  store: new SharedRateLimitStore('hook'),
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, error: 'Too many requests. Please try again later.' },
+});
+
+module.exports = {
+  broadcastLimiter,
+  sendLimiter,
+  readLimiter,
+  deviceLimiter,
+  trackLimiter,
+  hookLimiter,
+  WINDOW_MINUTES,
+};
@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+const logger = require('../logger');
+
+// Accepted from clients/proxies as-is; anything else is replaced
+const REQUEST_ID_PATTERN = /^[A-Za-z0-9._:-]{1,128}$/;
+
+/**
+ * Request Context Middleware — must run first.
+ * Takes the request ID from X-Request-Id (or generates one), echoes it in
+ * the response, and runs the rest of the request inside a logger context
+ * so every log line and notification log record carries it. Logs one
+ * access line per request when the response is sent.
+ */
+const requestContext = (req, res, next) => {
+  const incoming = req.get('X-Request-Id');
+  req.id = incoming && REQUEST_ID_PATTERN.test(incoming) ? incoming : crypto.randomUUID();
+  res.set('X-Request-Id', req.id);
+
+  const startedAt = process.hrtime.bigint();
+  res.on('finish', () => {
+    const fields = {
+      requestId: req.id,
+      method: req.method,
+      path: req.originalUrl,
+      status: res.statusCode,
+      durationMs: Math.round(Number(process.hrtime.bigint() - startedAt) / 1e3) / 1e3,
+      ip: req.ip,
+    };
+    if (res.statusCode >= 500) logger.warn('Request failed', fields);
+    else logger.info('Request completed', fields);
+  });
+
+  logger.runWithContext({ requestId: req.id }, next);
+};
+
+module.exports = { requestContext };
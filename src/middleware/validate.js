@@ -3,10 +3,42 @@
  * Validates and sanitizes all request bodies before they reach handlers.
  */
 
+const { compileSegment, TOPIC_PATTERN } = require('../segments');
+const { SCOPES } = require('../apikeys');
+const { ROLES } = require('../userroles');
+const { LIMIT_FIELDS } = require('../quotas');
+const { GROUP_BY, MAX_RANGE_DAYS } = require('../stats');
+const history = require('../history');
+const { ACTIONS: TRACKING_ACTIONS, TOKEN_LENGTH } = require('../tracking');
+const { EVENTS: WEBHOOK_EVENTS } = require('../webhooks');
+const { validatePublicHost } = require('../netguard');
+
 const MAX_TITLE_LENGTH = 200;
 const MAX_BODY_LENGTH = 1000;
 const MAX_DATA_KEYS = 20;
 const MAX_DATA_VALUE_LENGTH = 500;
+const MAX_TOKEN_LENGTH = 500;
+const MAX_USER_ID_LENGTH = 128;
+const MAX_TOKENS_PER_REQUEST = 1000;
+const PLATFORMS = ['android', 'ios', 'web'];
+const MAX_SCHEDULE_AHEAD_MS = 365 * 24 * 60 * 60 * 1000;
+const TEMPLATE_NAME_PATTERN = /^[a-z0-9_]{1,64}$/;
+const MAX_API_KEY_NAME_LENGTH = 64;
+const MAX_ROTATION_GRACE_SECONDS = 7 * 24 * 60 * 60;
+const MAX_LIMIT_VALUE = 10_000_000;
+const DEFAULT_STATS_RANGE_DAYS = 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const LOG_TARGETS = ['all_users', 'topic', 'condition', 'device', 'devices'];
+const MAX_FILTER_LENGTH = 128;
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 200;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+const TRACKING_TOKEN_PATTERN = new RegExp(`^[A-Za-z0-9_-]{${TOKEN_LENGTH}}$`);
+const MAX_WEBHOOK_URL_LENGTH = 2048;
+const MAX_WEBHOOK_DESCRIPTION_LENGTH = 200;
+const MAX_HOOK_NAME_LENGTH = 64;
+const MAPPING_KEY_PATTERN = /^\w{1,100}$/;
+const MAPPING_PATH_PATTERN = /^[A-Za-z0-9_-]{1,64}(\.[A-Za-z0-9_-]{1,64}){0,9}$/;
 
 /**
  * Validates the data object sent with notifications.
@@ -40,55 +72,525 @@ function validateDataObject(data) {
   return null; // no error
 }
 
+function validateTitle(title) {
+  if (!title || typeof title !== 'string' || title.trim().length === 0) {
+    return 'title is required and must be a non-empty string';
+  }
+  if (title.length > MAX_TITLE_LENGTH) {
+    return `title must not exceed ${MAX_TITLE_LENGTH} characters`;
+  }
+  return null;
+}
+
+function validateBody(body) {
+  if (!body || typeof body !== 'string' || body.trim().length === 0) {
+    return 'body is required and must be a non-empty string';
+  }
+  if (body.length > MAX_BODY_LENGTH) {
+    return `body must not exceed ${MAX_BODY_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Validates a list of FCM device tokens.
+ */
+function validateTokenList(tokens) {
+  if (!Array.isArray(tokens) || tokens.length === 0) {
+    return 'tokens is required and must be a non-empty array';
+  }
+  if (tokens.length > MAX_TOKENS_PER_REQUEST) {
+    return `tokens must not contain more than ${MAX_TOKENS_PER_REQUEST} entries`;
+  }
+
+  for (const token of tokens) {
+    if (typeof token !== 'string' || token.trim().length === 0) {
+      return 'All tokens must be non-empty strings';
+    }
+    if (token.length > MAX_TOKEN_LENGTH) {
+      return 'token is too long';
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Validates a notification target and returns it in normalized form.
+ * Supported shapes:
+ *   { type: 'all' }
+ *   { type: 'topic', topic }
+ *   { type: 'segment', segment }       — compiled condition is added
+ *   { type: 'device', token }
+ *   { type: 'devices', tokens }
+ *   { type: 'user', userId }
+ */
+function validateTargetObject(target) {
+  if (typeof target !== 'object' || Array.isArray(target) || target === null) {
+    return { error: 'target must be an object' };
+  }
+
+  switch (target.type) {
+    case 'all':
+      return { target: { type: 'all' } };
+
+    case 'topic':
+      if (typeof target.topic !== 'string' || !TOPIC_PATTERN.test(target.topic)) {
+        return { error: 'target.topic must be 1-900 characters of letters, digits and -_.~%' };
+      }
+      return { target: { type: 'topic', topic: target.topic } };
+
+    case 'segment':
+      try {
+        const { condition } = compileSegment(target.segment);
+        return { target: { type: 'segment', segment: target.segment, condition } };
+      } catch (error) {
+        return { error: error.message };
+      }
+
+    case 'device':
+      if (
+        typeof target.token !== 'string' ||
+        target.token.trim().length === 0 ||
+        target.token.length > MAX_TOKEN_LENGTH
+      ) {
+        return { error: 'target.token must be a non-empty string under 500 characters' };
+      }
+      return { target: { type: 'device', token: target.token.trim() } };
+
+    case 'devices': {
+      const tokensError = validateTokenList(target.tokens);
+      if (tokensError) return { error: `target.${tokensError}` };
+      return { target: { type: 'devices', tokens: target.tokens.map((t) => t.trim()) } };
+    }
+
+    case 'user':
+      if (
+        typeof target.userId !== 'string' ||
+        target.userId.trim().length === 0 ||
+        target.userId.length > MAX_USER_ID_LENGTH
+      ) {
+        return {
+          error: `target.userId must be a non-empty string under ${MAX_USER_ID_LENGTH} characters`,
+        };
+      }
+      return { target: { type: 'user', userId: target.userId.trim() } };
+
+    default:
+      return {
+        error: 'target.type must be one of: all, topic, segment, device, devices, user',
+      };
+  }
+}
+
+/**
+ * Validates a future send time (ISO 8601 string).
+ */
+function validateSendAt(sendAt) {
+  if (typeof sendAt !== 'string') {
+    return { error: 'sendAt is required and must be an ISO 8601 date string' };
+  }
+
+  const date = new Date(sendAt);
+  if (Number.isNaN(date.getTime())) {
+    return { error: 'sendAt is not a valid date' };
+  }
+  if (date.getTime() <= Date.now()) {
+    return { error: 'sendAt must be in the future' };
+  }
+  if (date.getTime() - Date.now() > MAX_SCHEDULE_AHEAD_MS) {
+    return { error: 'sendAt must be within one year' };
+  }
+
+  return { date };
+}
+
+/**
+ * Validates per-client limit overrides: a subset of LIMIT_FIELDS with
+ * non-negative integer values.
+ */
+function validateLimitsObject(limits) {
+  if (typeof limits !== 'object' || limits === null || Array.isArray(limits)) {
+    return 'limits must be an object';
+  }
+
+  for (const [field, value] of Object.entries(limits)) {
+    if (!LIMIT_FIELDS.includes(field)) {
+      return `Unknown limit "${field}" (allowed: ${LIMIT_FIELDS.join(', ')})`;
+    }
+    if (!Number.isInteger(value) || value < 0 || value > MAX_LIMIT_VALUE) {
+      return `limits.${field} must be an integer between 0 and ${MAX_LIMIT_VALUE}`;
+    }
+  }
+  return null;
+}
+
+/**
+ * Validates a webhook endpoint URL. Plain http is only allowed in
+ * development; private and reserved addresses are never allowed (the
+ * resolved address is checked again on every delivery, see webhooks.js).
+ */
+function validateWebhookUrl(url) {
+  if (typeof url !== 'string' || url.length > MAX_WEBHOOK_URL_LENGTH) {
+    return `url must be a string of at most ${MAX_WEBHOOK_URL_LENGTH} characters`;
+  }
+
+  let parsed;
+  try {
+    parsed = new URL(url);
+  } catch {
+    return 'url must be a valid absolute URL';
+  }
+
+  const development = (process.env.NODE_ENV || 'development') === 'development';
+  const protocols = development ? ['https:', 'http:'] : ['https:'];
+  if (!protocols.includes(parsed.protocol)) {
+    return development ? 'url must use http or https' : 'url must use https';
+  }
+  if (parsed.username || parsed.password) {
+    return 'url must not contain credentials';
+  }
+  return validatePublicHost(parsed.hostname);
+}
+
+function validateWebhookEvents(events) {
+  if (!Array.isArray(events) || events.length === 0) {
+    return 'events must be a non-empty array';
+  }
+  const unknown = events.filter((event) => !WEBHOOK_EVENTS.includes(event));
+  if (unknown.length > 0) {
+    return `Unknown event(s): ${unknown.join(', ')} (allowed: ${WEBHOOK_EVENTS.join(', ')})`;
+  }
+  return null;
+}
+
+function validateWebhookDescription(description) {
+  if (typeof description !== 'string' || description.length > MAX_WEBHOOK_DESCRIPTION_LENGTH) {
+    return `description must be a string of at most ${MAX_WEBHOOK_DESCRIPTION_LENGTH} characters`;
+  }
+  return null;
+}
+
+/**
+ * Validates an inbound hook mapping: { vars?, data? }, each an object of
+ * name → dot path into the inbound JSON (e.g. "ticket.subject").
+ */
+function validateHookMapping(mapping) {
+  if (typeof mapping !== 'object' || mapping === null || Array.isArray(mapping)) {
+    return 'mapping must be an object';
+  }
+
+  for (const [section, entries] of Object.entries(mapping)) {
+    if (!['vars', 'data'].includes(section)) {
+      return `Unknown mapping section "${section}" (allowed: vars, data)`;
+    }
+    if (typeof entries !== 'object' || entries === null || Array.isArray(entries)) {
+      return `mapping.${section} must be an object`;
+    }
+    if (Object.keys(entries).length > MAX_DATA_KEYS) {
+      return `mapping.${section} must not have more than ${MAX_DATA_KEYS} entries`;
+    }
+    for (const [key, path] of Object.entries(entries)) {
+      if (!MAPPING_KEY_PATTERN.test(key)) {
+        return `mapping.${section} keys must be 1-100 letters, digits or underscores`;
+      }
+      if (typeof path !== 'string' || !MAPPING_PATH_PATTERN.test(path)) {
+        return `mapping.${section}.${key} must be a dot path such as "ticket.subject"`;
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Validates the fields of an inbound hook definition that are present
+ * (name, target, template, mapping, data, active). Returns { error } or
+ * { value } with the normalized fields.
+ */
+function parseHookFields({ name, target, template, mapping, data, active }) {
+  const value = {};
+
+  if (name !== undefined) {
+    if (typeof name !== 'string' || name.trim().length === 0) {
+      return { error: 'name must be a non-empty string' };
+    }
+    if (name.trim().length > MAX_HOOK_NAME_LENGTH) {
+      return { error: `name must not exceed ${MAX_HOOK_NAME_LENGTH} characters` };
+    }
+    value.name = name.trim();
+  }
+
+  if (target !== undefined) {
+    const result = validateTargetObject(target);
+    if (result.error) return { error: result.error };
+    value.target = result.target;
+  }
+
+  if (template !== undefined) {
+    if (typeof template !== 'string' || !TEMPLATE_NAME_PATTERN.test(template)) {
+      return { error: 'template must be 1-64 lowercase letters, digits or underscores' };
+    }
+    value.template = template;
+  }
+
+  if (mapping !== undefined) {
+    const mappingError = validateHookMapping(mapping);
+    if (mappingError) return { error: mappingError };
+    value.mapping = mapping;
+  }
+
+  if (data !== undefined) {
+    const dataError = validateDataObject(data);
+    if (dataError) return { error: dataError };
+    value.data = data;
+  }
+
+  if (active !== undefined) {
+    if (typeof active !== 'boolean') return { error: 'active must be a boolean' };
+    value.active = active;
+  }
+
+  return { value };
+}
+
 /**
  * Validates title and body fields on all notification requests
  */
 const validateNotification = (req, res, next) => {
   const { title, body, data = {} } = req.body;
 
-  if (!title || typeof title !== 'string' || title.trim().length === 0) {
+  const fieldError = validateTitle(title) || validateBody(body) || validateDataObject(data);
+  if (fieldError) {
+    return res.status(400).json({ success: false, error: fieldError });
+  }
+
+  // Sanitize
+  req.body.title = title.trim();
+  req.body.body = body.trim();
+
+  next();
+};
+
+/**
+ * Validates device token on send-to-device requests
+ */
+const validateDeviceNotification = (req, res, next) => {
+  const { token } = req.body;
+
+  if (!token || typeof token !== 'string' || token.trim().length === 0) {
     return res.status(400).json({
       success: false,
-      error: 'title is required and must be a non-empty string',
+      error: 'token is required and must be a non-empty string',
     });
   }
-  if (title.length > MAX_TITLE_LENGTH) {
+  if (token.length > MAX_TOKEN_LENGTH) {
     return res.status(400).json({
       success: false,
-      error: `title must not exceed ${MAX_TITLE_LENGTH} characters`,
+      error: 'token is too long',
     });
   }
 
-  if (!body || typeof body !== 'string' || body.trim().length === 0) {
+  req.body.token = token.trim();
+  next();
+};
+
+/**
+ * Validates the token list on multicast requests
+ */
+const validateDeviceTokens = (req, res, next) => {
+  const { tokens } = req.body;
+
+  const tokensError = validateTokenList(tokens);
+  if (tokensError) {
+    return res.status(400).json({ success: false, error: tokensError });
+  }
+
+  req.body.tokens = tokens.map((t) => t.trim());
+  next();
+};
+
+/**
+ * Validates the :topic route parameter against FCM's topic naming rules
+ */
+const validateTopic = (req, res, next) => {
+  const { topic } = req.params;
+
+  if (!topic || !TOPIC_PATTERN.test(topic)) {
     return res.status(400).json({
       success: false,
-      error: 'body is required and must be a non-empty string',
+      error: 'topic must be 1-900 characters of letters, digits and -_.~%',
     });
   }
-  if (body.length > MAX_BODY_LENGTH) {
+
+  next();
+};
+
+/**
+ * Validates a segment definition and compiles it into an FCM condition.
+ * The compiled result is attached as req.segment = { condition, topics }.
+ */
+const validateSegment = (req, res, next) => {
+  const { segment } = req.body;
+
+  if (segment === undefined) {
+    return res.status(400).json({
+      success: false,
+      error: 'segment is required',
+    });
+  }
+
+  try {
+    req.segment = compileSegment(segment);
+  } catch (error) {
+    return res.status(400).json({ success: false, error: error.message });
+  }
+
+  next();
+};
+
+/**
+ * Validates scheduled notification creation: notification fields, target and sendAt.
+ * Normalized values are written back to req.body (sendAt becomes a Date).
+ */
+const validateScheduledNotification = (req, res, next) => {
+  const { title, body, data = {}, target, sendAt } = req.body;
+
+  const fieldError = validateTitle(title) || validateBody(body) || validateDataObject(data);
+  if (fieldError) {
+    return res.status(400).json({ success: false, error: fieldError });
+  }
+
+  const targetResult = validateTargetObject(target);
+  if (targetResult.error) {
+    return res.status(400).json({ success: false, error: targetResult.error });
+  }
+
+  const sendAtResult = validateSendAt(sendAt);
+  if (sendAtResult.error) {
+    return res.status(400).json({ success: false, error: sendAtResult.error });
+  }
+
+  req.body.title = title.trim();
+  req.body.body = body.trim();
+  req.body.data = data;
+  req.body.target = targetResult.target;
+  req.body.sendAt = sendAtResult.date;
+
+  next();
+};
+
+/**
+ * Validates a partial update of a scheduled notification.
+ * Only the fields present in the body are checked; unknown fields are rejected.
+ */
+const validateScheduledUpdate = (req, res, next) => {
+  const allowed = ['title', 'body', 'data', 'target', 'sendAt'];
+  const fields = Object.keys(req.body || {});
+
+  if (fields.length === 0) {
     return res.status(400).json({
       success: false,
-      error: `body must not exceed ${MAX_BODY_LENGTH} characters`,
+      error: `Provide at least one of: ${allowed.join(', ')}`,
     });
   }
 
+  const unknown = fields.filter((f) => !allowed.includes(f));
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown field(s): ${unknown.join(', ')}`,
+    });
+  }
+
+  const updates = {};
+
+  if ('title' in req.body) {
+    const error = validateTitle(req.body.title);
+    if (error) return res.status(400).json({ success: false, error });
+    updates.title = req.body.title.trim();
+  }
+
+  if ('body' in req.body) {
+    const error = validateBody(req.body.body);
+    if (error) return res.status(400).json({ success: false, error });
+    updates.body = req.body.body.trim();
+  }
+
+  if ('data' in req.body) {
+    const error = validateDataObject(req.body.data);
+    if (error) return res.status(400).json({ success: false, error });
+    updates.data = req.body.data;
+  }
+
+  if ('target' in req.body) {
+    const result = validateTargetObject(req.body.target);
+    if (result.error) return res.status(400).json({ success: false, error: result.error });
+    updates.target = result.target;
+  }
+
+  if ('sendAt' in req.body) {
+    const result = validateSendAt(req.body.sendAt);
+    if (result.error) return res.status(400).json({ success: false, error: result.error });
+    updates.sendAt = result.date;
+  }
+
+  req.body = updates;
+  next();
+};
+
+/**
+ * Validates template sends: :name param, vars and data objects.
+ * vars follow the same rules as data (flat string/number/boolean values).
+ */
+const validateTemplateSend = (req, res, next) => {
+  const { name } = req.params;
+  const { vars = {}, data = {} } = req.body || {};
+
+  if (!TEMPLATE_NAME_PATTERN.test(name)) {
+    return res.status(400).json({
+      success: false,
+      error: 'template name must be 1-64 lowercase letters, digits or underscores',
+    });
+  }
+
+  const varsError = validateDataObject(vars);
+  if (varsError) {
+    return res.status(400).json({ success: false, error: varsError.replace(/^data/, 'vars') });
+  }
+
   const dataError = validateDataObject(data);
   if (dataError) {
     return res.status(400).json({ success: false, error: dataError });
   }
 
-  // Sanitize
-  req.body.title = title.trim();
-  req.body.body = body.trim();
+  next();
+};
 
+/**
+ * Reads the dry-run flag from the body (`"dryRun": true`) or query (`?dryRun=true`)
+ * and exposes it as req.dryRun. A dry run validates the payload with FCM
+ * without delivering or logging it.
+ */
+const validateDryRun = (req, res, next) => {
+  const fromBody = req.body?.dryRun;
+  const fromQuery = req.query.dryRun;
+
+  if (fromBody !== undefined && typeof fromBody !== 'boolean') {
+    return res.status(400).json({ success: false, error: 'dryRun must be a boolean' });
+  }
+  if (fromQuery !== undefined && !['true', 'false'].includes(fromQuery)) {
+    return res.status(400).json({ success: false, error: 'dryRun must be true or false' });
+  }
+
+  req.dryRun = fromBody === true || fromQuery === 'true';
   next();
 };
 
 /**
- * Validates device token on send-to-device requests
+ * Validates device registration requests (token, userId, platform, appVersion)
  */
-const validateDeviceNotification = (req, res, next) => {
-  const { token } = req.body;
+const validateDeviceRegistration = (req, res, next) => {
+  const { token, userId, platform, appVersion } = req.body;
 
   if (!token || typeof token !== 'string' || token.trim().length === 0) {
     return res.status(400).json({
@@ -96,15 +598,427 @@ const validateDeviceNotification = (req, res, next) => {
       error: 'token is required and must be a non-empty string',
     });
   }
-  if (token.length > 500) {
+  if (token.length > MAX_TOKEN_LENGTH) {
     return res.status(400).json({
       success: false,
       error: 'token is too long',
     });
   }
 
+  if (!userId || typeof userId !== 'string' || userId.trim().length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'userId is required and must be a non-empty string',
+    });
+  }
+  if (userId.length > MAX_USER_ID_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `userId must not exceed ${MAX_USER_ID_LENGTH} characters`,
+    });
+  }
+
+  if (!PLATFORMS.includes(platform)) {
+    return res.status(400).json({
+      success: false,
+      error: `platform must be one of: ${PLATFORMS.join(', ')}`,
+    });
+  }
+
+  if (appVersion !== undefined && (typeof appVersion !== 'string' || appVersion.length > 50)) {
+    return res.status(400).json({
+      success: false,
+      error: 'appVersion must be a string under 50 characters',
+    });
+  }
+
+  // Sanitize
   req.body.token = token.trim();
+  req.body.userId = userId.trim();
+  if (appVersion !== undefined) req.body.appVersion = appVersion.trim();
+
+  next();
+};
+
+/**
+ * Validates API key creation (name, scopes, optional expiresAt)
+ */
+const validateApiKeyCreate = (req, res, next) => {
+  const { name, scopes, expiresAt, limits = {} } = req.body || {};
+
+  if (typeof name !== 'string' || name.trim().length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'name is required and must be a non-empty string',
+    });
+  }
+  if (name.trim().length > MAX_API_KEY_NAME_LENGTH) {
+    return res.status(400).json({
+      success: false,
+      error: `name must not exceed ${MAX_API_KEY_NAME_LENGTH} characters`,
+    });
+  }
+
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'scopes must be a non-empty array',
+    });
+  }
+  const unknown = scopes.filter((scope) => !SCOPES.includes(scope));
+  if (unknown.length > 0) {
+    return res.status(400).json({
+      success: false,
+      error: `Unknown scope(s): ${unknown.join(', ')} (allowed: ${SCOPES.join(', ')})`,
+    });
+  }
+
+  let expiry = null;
+  if (expiresAt !== undefined && expiresAt !== null) {
+    expiry = new Date(expiresAt);
+    if (typeof expiresAt !== 'string' || Number.isNaN(expiry.getTime())) {
+      return res.status(400).json({
+        success: false,
+        error: 'expiresAt must be an ISO 8601 date string',
+      });
+    }
+    if (expiry.getTime() <= Date.now()) {
+      return res.status(400).json({ success: false, error: 'expiresAt must be in the future' });
+    }
+  }
+
+  const limitsError = validateLimitsObject(limits);
+  if (limitsError) {
+    return res.status(400).json({ success: false, error: limitsError });
+  }
+
+  req.body = { name: name.trim(), scopes: [...new Set(scopes)], expiresAt: expiry, limits };
+  next();
+};
+
+/**
+ * Validates a replacement set of per-key limit overrides ({ limits })
+ */
+const validateApiKeyLimits = (req, res, next) => {
+  const limitsError = validateLimitsObject(req.body?.limits);
+  if (limitsError) {
+    return res.status(400).json({ success: false, error: limitsError });
+  }
+
+  req.body = { limits: req.body.limits };
+  next();
+};
+
+/**
+ * Validates API key rotation (optional graceSeconds for the old key)
+ */
+const validateApiKeyRotate = (req, res, next) => {
+  const { graceSeconds = 0 } = req.body || {};
+
+  if (
+    !Number.isInteger(graceSeconds) ||
+    graceSeconds < 0 ||
+    graceSeconds > MAX_ROTATION_GRACE_SECONDS
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: `graceSeconds must be an integer between 0 and ${MAX_ROTATION_GRACE_SECONDS}`,
+    });
+  }
+
+  req.body = { graceSeconds };
+  next();
+};
+
+/**
+ * Validates a staff role grant ({ role }) and the :uid param
+ */
+const validateRoleGrant = (req, res, next) => {
+  const { uid } = req.params;
+  const { role } = req.body || {};
+
+  if (!uid || uid.length > MAX_USER_ID_LENGTH) {
+    return res.status(400).json({ success: false, error: 'Invalid uid' });
+  }
+  if (!ROLES.includes(role)) {
+    return res.status(400).json({
+      success: false,
+      error: `role must be one of: ${ROLES.join(', ')}`,
+    });
+  }
+
+  req.body = { role };
+  next();
+};
+
+/**
+ * Validates the stats range query (?from=&to=&groupBy=) and exposes it as
+ * req.statsQuery. Defaults to the last 7 days grouped by day.
+ */
+const validateStatsQuery = (req, res, next) => {
+  const { from, to, groupBy = 'day' } = req.query;
+
+  if (!GROUP_BY.includes(groupBy)) {
+    return res.status(400).json({
+      success: false,
+      error: `groupBy must be one of: ${GROUP_BY.join(', ')}`,
+    });
+  }
+
+  const toDate = to === undefined ? new Date() : new Date(to);
+  if (isNaN(toDate.getTime())) {
+    return res.status(400).json({ success: false, error: 'to must be a valid ISO 8601 date' });
+  }
+
+  const fromDate =
+    from === undefined ? new Date(toDate - DEFAULT_STATS_RANGE_DAYS * DAY_MS) : new Date(from);
+  if (isNaN(fromDate.getTime())) {
+    return res.status(400).json({ success: false, error: 'from must be a valid ISO 8601 date' });
+  }
+  if (fromDate > toDate) {
+    return res.status(400).json({ success: false, error: 'from must not be after to' });
+  }
+  if (toDate - fromDate > MAX_RANGE_DAYS[groupBy] * DAY_MS) {
+    return res.status(400).json({
+      success: false,
+      error: `Range must not exceed ${MAX_RANGE_DAYS[groupBy]} days when grouped by ${groupBy}`,
+    });
+  }
+
+  req.statsQuery = { from: fromDate, to: toDate, groupBy };
+  next();
+};
+
+/**
+ * Parses the notification history query shared by /logs and /errors.
+ * Returns { error } or { value } with the shape HistoryService.list expects.
+ */
+function parseHistoryQuery(query, { allowSuccess }) {
+  const { type, target, eventId, requestId, userId, success, from, to, cursor, limit } = query;
+
+  for (const [name, value] of Object.entries({ type, eventId, requestId, userId })) {
+    if (
+      value !== undefined &&
+      (typeof value !== 'string' || value === '' || value.length > MAX_FILTER_LENGTH)
+    ) {
+      return { error: `${name} must be 1-${MAX_FILTER_LENGTH} characters` };
+    }
+  }
+  if (target !== undefined && !LOG_TARGETS.includes(target)) {
+    return { error: `target must be one of: ${LOG_TARGETS.join(', ')}` };
+  }
+  if (success !== undefined) {
+    if (!allowSuccess) return { error: 'success cannot be used to filter errors' };
+    if (!['true', 'false'].includes(success)) return { error: 'success must be true or false' };
+  }
+
+  const range = {};
+  for (const [name, value] of Object.entries({ from, to })) {
+    if (value === undefined) continue;
+    range[name] = new Date(value);
+    if (isNaN(range[name].getTime())) {
+      return { error: `${name} must be a valid ISO 8601 date` };
+    }
+  }
+  if (range.from && range.to && range.from > range.to) {
+    return { error: 'from must not be after to' };
+  }
+
+  const pageSize = limit === undefined ? DEFAULT_PAGE_SIZE : Number(limit);
+  if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+    return { error: `limit must be an integer between 1 and ${MAX_PAGE_SIZE}` };
+  }
+
+  const after = cursor === undefined ? undefined : history.decodeCursor(cursor);
+  if (after === null) {
+    return { error: 'Invalid cursor' };
+  }
+
+  return {
+    value: {
+      filters: {
+        type,
+        target,
+        eventId,
+        requestId,
+        userId,
+        ...(allowSuccess && success !== undefined && { success: success === 'true' }),
+      },
+      ...range,
+      after,
+      limit: pageSize,
+    },
+  };
+}
+
+const historyValidator = (options) => (req, res, next) => {
+  const { error, value } = parseHistoryQuery(req.query, options);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  req.historyQuery = value;
+  next();
+};
+
+/**
+ * Validates GET /logs filters (type, target, eventId, requestId, userId,
+ * success, from, to, cursor, limit) and exposes them as req.historyQuery
+ */
+const validateLogQuery = historyValidator({ allowSuccess: true });
+
+/**
+ * Validates GET /errors filters — as for logs, except success (errors are
+ * failures by definition)
+ */
+const validateErrorQuery = historyValidator({ allowSuccess: false });
+
+/**
+ * Validates an engagement event from the app
+ * ({ trackingId, token, action, deviceId }). deviceId is any stable
+ * per-install identifier (e.g. the FCM token); it is only stored hashed.
+ */
+const validateTrackingEvent = (req, res, next) => {
+  const { trackingId, token, action, deviceId } = req.body || {};
+
+  if (typeof trackingId !== 'string' || !UUID_PATTERN.test(trackingId)) {
+    return res.status(400).json({ success: false, error: 'trackingId must be a UUID' });
+  }
+  if (typeof token !== 'string' || !TRACKING_TOKEN_PATTERN.test(token)) {
+    return res.status(400).json({ success: false, error: 'Invalid tracking token' });
+  }
+  if (!TRACKING_ACTIONS.includes(action)) {
+    return res.status(400).json({
+      success: false,
+      error: `action must be one of: ${TRACKING_ACTIONS.join(', ')}`,
+    });
+  }
+  if (
+    typeof deviceId !== 'string' ||
+    deviceId.trim().length === 0 ||
+    deviceId.length > MAX_TOKEN_LENGTH
+  ) {
+    return res.status(400).json({
+      success: false,
+      error: 'deviceId is required and must be a non-empty string',
+    });
+  }
+
+  req.body = { trackingId, token, action, deviceId };
+  next();
+};
+
+/**
+ * Validates a new webhook subscription ({ url, events, description? })
+ */
+const validateWebhookCreate = (req, res, next) => {
+  const { url, events, description = '' } = req.body || {};
+
+  const error =
+    validateWebhookUrl(url) ||
+    validateWebhookEvents(events) ||
+    validateWebhookDescription(description);
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  req.body = { url, events: [...new Set(events)], description: description.trim() };
+  next();
+};
+
+/**
+ * Validates a webhook edit: any of url, events, description and active
+ */
+const validateWebhookUpdate = (req, res, next) => {
+  const { url, events, description, active } = req.body || {};
+
+  if ([url, events, description, active].every((value) => value === undefined)) {
+    return res.status(400).json({
+      success: false,
+      error: 'Provide at least one of: url, events, description, active',
+    });
+  }
+
+  const error =
+    (url !== undefined && validateWebhookUrl(url)) ||
+    (events !== undefined && validateWebhookEvents(events)) ||
+    (description !== undefined && validateWebhookDescription(description)) ||
+    (active !== undefined && typeof active !== 'boolean' && 'active must be a boolean');
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  req.body = {
+    ...(url !== undefined && { url }),
+    ...(events !== undefined && { events: [...new Set(events)] }),
+    ...(description !== undefined && { description: description.trim() }),
+    ...(active !== undefined && { active }),
+  };
+  next();
+};
+
+/**
+ * Validates a new inbound hook ({ name, target, template, mapping?, data? })
+ */
+const validateInboundHookCreate = (req, res, next) => {
+  const body = req.body || {};
+
+  for (const field of ['name', 'target', 'template']) {
+    if (body[field] === undefined) {
+      return res.status(400).json({ success: false, error: `${field} is required` });
+    }
+  }
+
+  const { error, value } = parseHookFields({ ...body, active: undefined });
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+
+  req.body = value;
+  next();
+};
+
+/**
+ * Validates an inbound hook edit: any of name, target, template, mapping,
+ * data and active
+ */
+const validateInboundHookUpdate = (req, res, next) => {
+  const { error, value } = parseHookFields(req.body || {});
+  if (error) {
+    return res.status(400).json({ success: false, error });
+  }
+  if (Object.keys(value).length === 0) {
+    return res.status(400).json({
+      success: false,
+      error: 'Provide at least one of: name, target, template, mapping, data, active',
+    });
+  }
+
+  req.body = value;
   next();
 };
 
-module.exports = { validateNotification, validateDeviceNotification };
\ No newline at end of file
+module.exports = {
+  validateNotification,
+  validateDeviceNotification,
+  validateDeviceTokens,
+  validateDeviceRegistration,
+  validateTopic,
+  validateSegment,
+  validateScheduledNotification,
+  validateScheduledUpdate,
+  validateTemplateSend,
+  validateDryRun,
+  validateApiKeyCreate,
+  validateApiKeyRotate,
+  validateApiKeyLimits,
+  validateRoleGrant,
+  validateStatsQuery,
+  validateLogQuery,
+  validateErrorQuery,
+  validateTrackingEvent,
+  validateWebhookCreate,
+  validateWebhookUpdate,
+  validateInboundHookCreate,
+  validateInboundHookUpdate,
+};
\ No newline at end of file
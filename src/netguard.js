@@ -0,0 +1,109 @@
+const dns = require('dns');
+const net = require('net');
+
+/**
+ * Outbound Address Guard
+ * Keeps server-side requests to user-supplied URLs (webhooks) away from
+ * loopback, link-local (cloud metadata), private and other reserved
+ * addresses.
+ *
+ * validatePublicHost() checks a URL's hostname as written; publicLookup is
+ * a drop-in for dns.lookup that refuses names resolving to such addresses.
+ * Passing it as the `lookup` option of http(s).request checks the very
+ * address that is connected to, so DNS rebinding can't slip past.
+ */
+
+const RESERVED = new net.BlockList();
+
+[
+  ['0.0.0.0', 8], // "this" network
+  ['10.0.0.0', 8], // private
+  ['100.64.0.0', 10], // carrier-grade NAT
+  ['127.0.0.0', 8], // loopback
+  ['169.254.0.0', 16], // link-local, incl. 169.254.169.254 metadata
+  ['172.16.0.0', 12], // private
+  ['192.0.0.0', 24], // IETF protocol assignments
+  ['192.0.2.0', 24], // documentation
+  ['192.88.99.0', 24], // 6to4 relay
+  ['192.168.0.0', 16], // private
+  ['198.18.0.0', 15], // benchmarking
+  ['198.51.100.0', 24], // documentation
+  ['203.0.113.0', 24], // documentation
+  ['224.0.0.0', 4], // multicast
+  ['240.0.0.0', 4], // reserved, incl. broadcast
+].forEach(([address, prefix]) => RESERVED.addSubnet(address, prefix, 'ipv4'));
+
+[
+  ['::', 128], // unspecified
+  ['::1', 128], // loopback
+  ['64:ff9b::', 96], // NAT64
+  ['100::', 64], // discard
+  ['2001:db8::', 32], // documentation
+  ['fc00::', 7], // unique local
+  ['fe80::', 10], // link-local
+  ['ff00::', 8], // multicast
+].forEach(([address, prefix]) => RESERVED.addSubnet(address, prefix, 'ipv6'));
+
+// ::ffff:a.b.c.d and ::ffff:xxxx:xxxx carry an IPv4 address
+const IPV4_MAPPED = /^::ffff:(?:(\d+\.\d+\.\d+\.\d+)|([0-9a-f]{1,4}):([0-9a-f]{1,4}))$/i;
+
+function isReservedAddress(address) {
+  const family = net.isIP(address);
+  if (family === 4) return RESERVED.check(address, 'ipv4');
+  if (family !== 6) return false;
+
+  const mapped = IPV4_MAPPED.exec(address);
+  if (mapped) {
+    const ipv4 =
+      mapped[1] ||
+      [mapped[2], mapped[3]]
+        .map((hex) => parseInt(hex, 16))
+        .flatMap((word) => [word >> 8, word & 0xff])
+        .join('.');
+    return RESERVED.check(ipv4, 'ipv4');
+  }
+  return RESERVED.check(address, 'ipv6');
+}
+
+/**
+ * Returns an error message if `hostname` (as in URL#hostname) is a
+ * reserved IP literal or a localhost name, otherwise null. Names are only
+ * checked when they are resolved (see publicLookup).
+ */
+function validatePublicHost(hostname) {
+  const host = hostname.toLowerCase().replace(/^\[(.*)\]$/, '$1').replace(/\.$/, '');
+
+  if (host === 'localhost' || host.endsWith('.localhost')) {
+    return 'url must not point to localhost';
+  }
+  if (isReservedAddress(host)) {
+    return 'url must not point to a private or reserved address';
+  }
+  return null;
+}
+
+// dns.lookup signature; fails with EADDRNOTPUBLIC if any address is reserved
+function publicLookup(hostname, options, callback) {
+  if (typeof options === 'function') {
+    callback = options;
+    options = {};
+  }
+  if (typeof options === 'number') {
+    options = { family: options };
+  }
+
+  dns.lookup(hostname, { ...options, all: true }, (err, addresses) => {
+    if (err) return callback(err);
+
+    if (addresses.some(({ address }) => isReservedAddress(address))) {
+      const error = new Error(`${hostname} resolves to a private or reserved address`);
+      error.code = 'EADDRNOTPUBLIC';
+      return callback(error);
+    }
+
+    if (options.all) return callback(null, addresses);
+    return callback(null, addresses[0].address, addresses[0].family);
+  });
+}
+
+module.exports = { isReservedAddress, validatePublicHost, publicLookup };
@@ -1,121 +1,426 @@
-const { getFirestore, getMessaging } = require('./firebase');
+const crypto = require('crypto');
+const { getTransport } = require('./transports');
 const cron = require('node-cron');
+const deviceRegistry = require('./deviceregistry');
+const eventReminders = require('./eventreminders');
+const templates = require('./templateservice');
+const deadLetters = require('./deadletters');
+const stats = require('./stats');
+const tracking = require('./tracking');
+const webhooks = require('./webhooks');
+const metrics = require('./metrics');
+const logger = require('./logger');
+const { withRetry, isRetryable, backoffDelay, sleep, MAX_ATTEMPTS } = require('./retry');
+const {
+  events,
+  eventNotifications,
+  notificationLogs,
+  notificationErrors,
+} = require('./repositories');
+
+const ALL_USERS_TOPIC = 'all_users';
+
+// FCM accepts at most 500 tokens per multicast request
+const MULTICAST_CHUNK_SIZE = 500;
+
+// ...and at most 1000 tokens per topic (un)subscribe request
+const TOPIC_CHUNK_SIZE = 1000;
+
+// Event fields whose changes trigger an "Event updated" notification.
+// dateTime is always watched and gets its own "rescheduled" notification.
+const WATCHED_EVENT_FIELDS = (process.env.EVENT_WATCHED_FIELDS || 'title,location,imageUrl')
+  .split(',')
+  .map((f) => f.trim())
+  .filter((f) => f && f !== 'dateTime');
+
+// Error codes meaning the token will never work again and should be removed.
+// messaging/invalid-argument is deliberately absent: it flags a bad payload
+// (e.g. data too large), which fails every token in the batch and is
+// reported as an ordinary send failure.
+const STALE_TOKEN_ERRORS = [
+  'messaging/registration-token-not-registered',
+  'messaging/invalid-registration-token',
+];
 
 class NotificationService {
   constructor() {
-    this.firestore = getFirestore();
-    this.messaging = getMessaging();
+    this.transport = getTransport();
     this.eventCache = new Map();
     this.serverStartTime = new Date();
     this.isInitialLoad = true;
+    this.lastSnapshotAt = null;
+    // Read by the readiness check (see health.js)
+    this.dailyReminders = { scheduledAt: null, lastRunAt: null, lastSuccessAt: null };
   }
 
   /* =========================================================
    * SEND TO ALL USERS (FCM TOPIC BROADCAST)
    * ======================================================= */
-  async sendToAll(title, body, data = {}) {
-    try {
+  async sendToAll(title, body, data = {}, options = {}) {
+    return this.sendToTopic(ALL_USERS_TOPIC, title, body, data, options);
+  }
+
+  /* =========================================================
+   * SEND A TEMPLATE TO ALL USERS, ONE VARIANT PER LOCALE
+   * Each locale goes to the users subscribed to its `locale_<code>`
+   * topic; everyone else receives the default locale. The variants share
+   * one trackingId, so engagement is tracked for the broadcast as a whole
+   * against the all-users audience.
+   * ======================================================= */
+  async sendLocalizedToAll(templateName, vars, data = {}, options = {}) {
+    if (templates.locales.length === 1) {
+      const { title, body } = await templates.render(templateName, vars);
+      return this.sendToAll(title, body, data, options);
+    }
+
+    const results = {};
+    let lastError = null;
+    const variantOptions = {
+      ...options,
+      trackingId: tracking.newId(),
+      audience: { topic: ALL_USERS_TOPIC },
+    };
+
+    for (const locale of templates.locales) {
+      const { title, body } = await templates.render(templateName, vars, locale);
+      try {
+        results[locale] = await this.sendToCondition(
+          templates.localeCondition(locale),
+          title,
+          body,
+          { ...data, locale },
+          variantOptions
+        );
+      } catch (error) {
+        lastError = error;
+        results[locale] = { success: false, error: error.message };
+      }
+    }
+
+    if (options.dryRun) {
+      const valid = Object.values(results).every((r) => r.valid);
+      return { success: valid, dryRun: true, valid, locales: results };
+    }
+
+    if (Object.values(results).every((r) => !r.success)) {
+      throw lastError;
+    }
+
+    return { success: true, locales: results };
+  }
+
+  /* =========================================================
+   * SEND TO AN FCM TOPIC
+   * ======================================================= */
+  async sendToTopic(topic, title, body, data = {}, options = {}) {
+    return this._sendSingle({
+      title,
+      body,
+      data,
+      options,
+      target: { topic },
+      label: `topic "${topic}"`,
+      logFields: {
+        target: topic === ALL_USERS_TOPIC ? 'all_users' : 'topic',
+        topic,
+      },
+    });
+  }
+
+  /* =========================================================
+   * SEND TO AN FCM CONDITION (TOPIC COMBINATION)
+   * ======================================================= */
+  async sendToCondition(condition, title, body, data = {}, options = {}) {
+    return this._sendSingle({
+      title,
+      body,
+      data,
+      options,
+      target: { condition },
+      label: `condition ${condition}`,
+      logFields: { target: 'condition', condition },
+    });
+  }
+
+  /* =========================================================
+   * SEND TO SPECIFIC DEVICE TOKEN
+   * ======================================================= */
+  async sendToDevice(token, title, body, data = {}, options = {}) {
+    return this._sendSingle({
+      title,
+      body,
+      data,
+      options,
+      target: { token },
+      label: 'device',
+      logFields: { target: 'device' },
+    });
+  }
+
+  /* =========================================================
+   * SEND TO MANY DEVICE TOKENS (MULTICAST)
+   * ======================================================= */
+  async sendToDevices(tokens, title, body, data = {}, options = {}) {
+    const uniqueTokens = [...new Set(tokens)];
+
+    if (options.dryRun) {
+      return this._dryRunMulticast({ tokens: uniqueTokens, title, body, data });
+    }
+
+    const logFields = {
+      target: 'devices',
+      ...(options.userId && { userId: options.userId }),
+      ...this._requester(options),
+    };
+    const trackingId = tracking.newId();
+    const results = [];
+    let payload;
+
+    for (let i = 0; i < uniqueTokens.length; i += MULTICAST_CHUNK_SIZE) {
+      const chunk = uniqueTokens.slice(i, i + MULTICAST_CHUNK_SIZE);
+
       const message = this._buildMessage({
         title,
         body,
         data,
-        target: { topic: 'all_users' },
+        target: { tokens: chunk },
+        trackingId,
       });
+      payload ||= this._loggedPayload(message);
+
+      const chunkResults = await this._sendMulticastChunk(message);
+      results.push(...chunkResults);
+
+      // Tokens that were still failing transiently after every retry
+      const exhausted = chunkResults.filter((r) => !r.success && r.retryable);
+      if (exhausted.length > 0) {
+        const error = new Error(exhausted[0].error);
+        error.code = exhausted[0].code;
+        await this._logError({ title, body, error, message, context: logFields });
+        await deadLetters.park({
+          kind: 'multicast',
+          message: { ...message, tokens: exhausted.map((r) => r.token) },
+          title,
+          body,
+          error,
+          attempts: MAX_ATTEMPTS,
+          context: logFields,
+        });
+      }
+    }
+
+    const sent = results.filter((r) => r.success).length;
+    const failed = results.length - sent;
 
-      const response = await this.messaging.send(message);
-      console.log('✅ Notification sent to all users:', title);
+    const pruned = await this._pruneStaleTokens(results);
+    this._count(data, logFields, sent, failed);
+    if (sent > 0) this._trackSent(payload, logFields, sent);
+    this._emitOutcome(sent > 0 ? 'notification.sent' : 'notification.failed', payload, logFields, {
+      sent,
+      failed,
+    });
 
-      await this.firestore.collection('notification_logs').add({
+    logger.info('Multicast sent', { title, sent, failed, pruned });
+
+    try {
+      await notificationLogs.add({
         title,
         body,
         data,
-        success: true,
+        success: sent > 0,
         sentAt: new Date(),
-        target: 'all_users',
-        messageId: response,
+        ...logger.correlation(),
+        ...logFields,
+        ...this._classify(payload),
+        tokenCount: results.length,
+        successCount: sent,
+        failureCount: failed,
+        prunedCount: pruned,
+        payload,
       });
-
-      return { success: true, messageId: response };
     } catch (error) {
-      console.error('❌ Error sending notification:', error.message);
-      await this._logError({ title, body, error });
-      throw error;
+      logger.error('Failed to log multicast send', { error });
     }
+
+    return { success: sent > 0, sent, failed, pruned, results };
   }
 
   /* =========================================================
-   * SEND TO SPECIFIC DEVICE TOKEN
+   * SEND TO ALL DEVICES OF A USER
+   * Callers that already looked up the user's devices (to charge quota
+   * per device) pass them as options.tokens. Logged as a multicast with
+   * the userId, so history can be filtered by recipient.
    * ======================================================= */
-  async sendToDevice(token, title, body, data = {}) {
+  async sendToUser(userId, title, body, data = {}, options = {}) {
+    const tokens = options.tokens || (await deviceRegistry.getUserTokens(userId));
+
+    if (tokens.length === 0) {
+      throw new Error('No devices registered for user');
+    }
+
+    logger.info('Sending to user devices', { userId, devices: tokens.length });
+
+    const result = await this.sendToDevices(tokens, title, body, data, { ...options, userId });
+    return { userId, ...result };
+  }
+
+  /* =========================================================
+   * SEND TO A STORED TARGET DESCRIPTION
+   * Used by scheduled notifications; `target` is the normalized
+   * shape produced by validateTargetObject in middleware/validate.js.
+   * ======================================================= */
+  async sendToTarget(target, title, body, data = {}, options = {}) {
+    switch (target.type) {
+      case 'all':
+        return this.sendToAll(title, body, data, options);
+      case 'topic':
+        return this.sendToTopic(target.topic, title, body, data, options);
+      case 'segment':
+        return this.sendToCondition(target.condition, title, body, data, options);
+      case 'device':
+        return this.sendToDevice(target.token, title, body, data, options);
+      case 'devices':
+        return this.sendToDevices(target.tokens, title, body, data, options);
+      case 'user':
+        return this.sendToUser(target.userId, title, body, data, options);
+      default:
+        throw new Error(`Unknown target type: ${target.type}`);
+    }
+  }
+
+  /* =========================================================
+   * REPLAY A DEAD-LETTERED MESSAGE
+   * The stored FCM payload is sent again exactly as it was built. The
+   * entry is claimed first, so concurrent replays send it only once.
+   * ======================================================= */
+  async replayDeadLetter(id) {
+    const entry = await deadLetters.claimForReplay(id);
+
+    logger.info('Replaying dead letter', { deadLetterId: id, kind: entry.kind });
+
+    let result;
     try {
-      const message = this._buildMessage({
-        title,
-        body,
-        data,
-        target: { token },
-      });
+      if (entry.kind === 'multicast') {
+        const results = await this._sendMulticastChunk(entry.message);
+        const sent = results.filter((r) => r.success).length;
+        if (sent === 0) {
+          const error = new Error(results[0].error);
+          error.code = results[0].code;
+          throw error;
+        }
+        await this._pruneStaleTokens(results);
+        result = { sent, failed: results.length - sent };
+      } else {
+        const messageId = await withRetry(() => this.transport.send(entry.message));
+        result = { messageId };
+      }
+    } catch (error) {
+      logger.error('Dead letter replay failed', { deadLetterId: id, error });
+      await deadLetters.markReplayFailed(id, error);
+      throw error;
+    }
 
-      const response = await this.messaging.send(message);
-      console.log('✅ Notification sent to device:', title);
+    // Recorded before anything else can fail, so a sent message is never
+    // released for another replay
+    await deadLetters.markReplayed(id, result);
+    logger.info('Dead letter replayed', { deadLetterId: id });
 
-      await this.firestore.collection('notification_logs').add({
-        title,
-        body,
-        data,
+    this._count(entry.message.data, entry.context, result.sent ?? 1, result.failed ?? 0);
+    this._trackSent(entry.message, entry.context, result.sent ?? this._recipients(entry.message));
+    this._emitOutcome('notification.sent', entry.message, entry.context, {
+      ...result,
+      replayOf: id,
+    });
+
+    try {
+      await notificationLogs.add({
+        title: entry.title,
+        body: entry.body,
+        data: entry.message.data || {},
         success: true,
         sentAt: new Date(),
-        target: 'device',
-        messageId: response,
+        ...logger.correlation(),
+        ...entry.context,
+        ...this._classify(entry.message),
+        ...result,
+        replayOf: id,
+        payload: this._loggedPayload(entry.message),
       });
-
-      return { success: true, messageId: response };
     } catch (error) {
-      console.error('❌ Error sending device notification:', error.message);
-      await this._logError({ title, body, error });
-      throw error;
+      logger.error('Failed to log dead letter replay', { deadLetterId: id, error });
     }
+
+    return { success: true, id, ...result };
+  }
+
+  /* =========================================================
+   * TOPIC SUBSCRIPTION MANAGEMENT
+   * ======================================================= */
+  async subscribeToTopic(tokens, topic) {
+    return this._manageTopic('subscribe', tokens, topic);
+  }
+
+  async unsubscribeFromTopic(tokens, topic) {
+    return this._manageTopic('unsubscribe', tokens, topic);
   }
 
   /* =========================================================
    * NEW EVENT NOTIFICATION
    * ======================================================= */
-  async sendNewEventNotification(event) {
+  async sendNewEventNotification(event, options = {}) {
     try {
       const eventDate = this.toDate(event.dateTime);
       const formattedDate = this.formatEventDate(eventDate);
 
-      console.log(`📢 Sending NEW EVENT notification: ${event.title}`);
-      console.log(`   Date: ${formattedDate}`);
-
-      await this.firestore.collection('event_notifications').doc(event.id).set({
+      logger.info('Sending new event notification', {
         eventId: event.id,
-        eventTitle: event.title,
-        type: 'new_event',
-        lastNotifiedDate: event.dateTime,
-        notifiedAt: new Date(),
+        title: event.title,
+        date: formattedDate,
       });
 
-      await this.sendToAll(
-        `🎉 New Event: ${event.title}`,
-        `${formattedDate} • ${event.location || 'TBD'}`,
+      // A dry run must not mark the event as announced
+      if (!options.dryRun) {
+        await eventNotifications.set(event.id, {
+          eventId: event.id,
+          eventTitle: event.title,
+          type: 'new_event',
+          lastNotifiedDate: event.dateTime,
+          snapshot: this._snapshotFields(event),
+          notifiedAt: new Date(),
+        });
+      }
+
+      const result = await this.sendLocalizedToAll(
+        'new_event',
+        { title: event.title, date: eventDate, location: event.location },
         {
           type: 'new_event',
           eventId: String(event.id),
           route: 'events',
           imageUrl: event.imageUrl || '',
-        }
+        },
+        options
       );
 
-      console.log('✅ New event notification sent and recorded');
+      if (options.dryRun) return result;
+
+      webhooks.emit('event.announced', {
+        eventId: String(event.id),
+        title: event.title,
+        dateTime: eventDate.toISOString(),
+        location: event.location || null,
+      });
+      logger.info('New event notification sent and recorded', { eventId: event.id });
+      return result;
     } catch (error) {
-      console.error('❌ Error sending new event notification:', error.message);
+      logger.error('Error sending new event notification', { eventId: event.id, error });
     }
   }
 
   /* =========================================================
    * EVENT DATE CHANGED NOTIFICATION - FIXED
    * ======================================================= */
-  async sendEventDateChangedNotification(event, oldDateTime, newDateTime) {
+  async sendEventDateChangedNotification(event, oldDateTime, newDateTime, fieldChanges = []) {
     try {
       // ✅ FIX: Convert to proper Date objects
       const oldDate = this.toDate(oldDateTime);
@@ -125,14 +430,17 @@ class NotificationService {
       const oldFormatted = this.formatEventDate(oldDate);
       const newFormatted = this.formatEventDate(newDate);
 
-      console.log(`📅 Sending DATE CHANGED notification for: ${event.title}`);
-      console.log(`   Old Date: ${oldFormatted}`);
-      console.log(`   New Date: ${newFormatted}`);
+      logger.info('Sending date changed notification', {
+        eventId: event.id,
+        title: event.title,
+        oldDate: oldFormatted,
+        newDate: newFormatted,
+      });
 
       // ✅ FIX: Show BOTH dates in notification body
-      await this.sendToAll(
-        `⏰ Event Rescheduled: ${event.title}`,
-        `New: ${newFormatted}\nOld: ${oldFormatted}`,  // ✅ Both dates visible
+      await this.sendLocalizedToAll(
+        'event_rescheduled',
+        { title: event.title, newDate, oldDate },  // ✅ Both dates visible
         {
           type: 'event_rescheduled',
           eventId: String(event.id),
@@ -140,312 +448,490 @@ class NotificationService {
           imageUrl: event.imageUrl || '',
           oldDate: oldFormatted,  // ✅ Include in data
           newDate: newFormatted,  // ✅ Include in data
+          // Other fields edited in the same change ride along in the payload
+          ...(fieldChanges.length > 0 && this._changesPayload(fieldChanges)),
         }
       );
 
-      await this.firestore.collection('event_notifications').doc(event.id).set(
+      await eventNotifications.merge(event.id, {
+        eventId: event.id,
+        eventTitle: event.title,
+        type: 'date_modified',
+        lastNotifiedDate: event.dateTime,
+        snapshot: this._snapshotFields(event),
+        notifiedAt: new Date(),
+        oldDate: oldDateTime,
+        newDate: newDateTime,
+      });
+
+      webhooks.emit('event.rescheduled', {
+        eventId: String(event.id),
+        title: event.title,
+        previousDateTime: oldDate.toISOString(),
+        dateTime: newDate.toISOString(),
+      });
+      logger.info('Date changed notification sent', { eventId: event.id });
+    } catch (error) {
+      logger.error('Error sending date changed notification', { eventId: event.id, error });
+    }
+  }
+
+  /* =========================================================
+   * EVENT UPDATED NOTIFICATION (watched fields other than date)
+   * ======================================================= */
+  async sendEventUpdatedNotification(event, fieldChanges) {
+    try {
+      logger.info('Sending event updated notification', {
+        eventId: event.id,
+        title: event.title,
+        changes: fieldChanges,
+      });
+
+      await this.sendLocalizedToAll(
+        'event_updated',
         {
-          eventId: event.id,
-          eventTitle: event.title,
-          type: 'date_modified',
-          lastNotifiedDate: event.dateTime,
-          notifiedAt: new Date(),
-          oldDate: oldDateTime,
-          newDate: newDateTime,
+          title: event.title,
+          changes: (locale, variant) =>
+            fieldChanges.map((c) => this._describeChange(c, variant.labels || {})).join('\n'),
         },
-        { merge: true }
+        {
+          type: 'event_updated',
+          eventId: String(event.id),
+          route: 'events',
+          imageUrl: event.imageUrl || '',
+          ...this._changesPayload(fieldChanges),
+        }
       );
 
-      console.log('✅ Date changed notification sent successfully');
+      await eventNotifications.merge(event.id, {
+        eventId: event.id,
+        eventTitle: event.title,
+        type: 'event_updated',
+        lastNotifiedDate: event.dateTime,
+        snapshot: this._snapshotFields(event),
+        changedFields: fieldChanges.map((c) => c.field),
+        notifiedAt: new Date(),
+      });
+
+      logger.info('Event updated notification sent', { eventId: event.id });
     } catch (error) {
-      console.error('❌ Error sending date changed notification:', error.message);
-      console.error('   Error details:', error);
+      logger.error('Error sending event updated notification', { eventId: event.id, error });
     }
   }
 
   /* =========================================================
-   * FIRESTORE REAL-TIME EVENT LISTENER
+   * EVENT CANCELLED NOTIFICATION
+   * Only sent for events users were told about — an event that was
+   * never announced (or already cancelled) is skipped silently.
    * ======================================================= */
-  startEventListener() {
-    console.log('👂 Starting Firestore event listener...');
-
-    const unsubscribe = this.firestore
-      .collection('events')
-      .onSnapshot(
-        async (snapshot) => {
-          const changes = snapshot.docChanges();
-          if (changes.length === 0) return;
-
-          // Skip initial load
-          if (this.isInitialLoad) {
-            console.log(
-              `🔄 Initial load: caching ${changes.length} existing event(s) — skipping notifications`
-            );
-            changes.forEach((change) => {
-              const event = { id: change.doc.id, ...change.doc.data() };
-              if (event.dateTime) {
-                this.eventCache.set(event.id, event.dateTime);
-              }
-            });
-            this.isInitialLoad = false;
-            console.log('✅ Initial load complete — now listening for real changes');
-            return;
-          }
+  async sendEventCancelledNotification(event, reason) {
+    try {
+      const record = await eventNotifications.get(event.id);
+
+      if (!record) {
+        logger.info('Event was never announced — no cancellation needed', { eventId: event.id });
+        return;
+      }
+      if (record.type === 'event_cancelled') {
+        logger.info('Cancellation already sent — skipping', { eventId: event.id });
+        return;
+      }
+
+      const eventDate = this.toDate(event.dateTime || record.lastNotifiedDate);
+      if (eventDate <= new Date()) {
+        logger.info('Event already took place — no cancellation needed', { eventId: event.id });
+        return;
+      }
+
+      const title = event.title || record.eventTitle;
+
+      logger.info('Sending event cancelled notification', { eventId: event.id, title, reason });
+
+      await this.sendLocalizedToAll(
+        'event_cancelled',
+        { title, date: eventDate },
+        {
+          type: 'event_cancelled',
+          eventId: String(event.id),
+          route: 'events',
+          reason,
+        }
+      );
 
-          console.log(`📊 Received ${changes.length} real change(s)`);
+      await eventNotifications.merge(event.id, {
+        type: 'event_cancelled',
+        cancelReason: reason,
+        cancelledAt: new Date(),
+        notifiedAt: new Date(),
+      });
 
-          for (const change of changes) {
-            try {
-              const event = { id: change.doc.id, ...change.doc.data() };
+      logger.info('Event cancelled notification sent and recorded', { eventId: event.id });
+    } catch (error) {
+      logger.error('Error sending event cancelled notification', { eventId: event.id, error });
+    }
+  }
 
-              // Validate required fields
-              if (!event.title) {
-                console.warn(`⚠️  Event ${event.id} missing title — skipping`);
-                continue;
-              }
-              if (!event.dateTime) {
-                console.warn(`⚠️  Event ${event.id} missing dateTime — skipping`);
-                continue;
-              }
+  /* =========================================================
+   * EVENT REMINDER (fired by the scheduled notification dispatcher)
+   * ======================================================= */
+  async sendEventReminder(job) {
+    const event = await events.get(job.eventId);
 
-              // Skip inactive events
-              if (!event.isActive) {
-                console.log(`⏭️  Skipping inactive event: ${event.title}`);
-                continue;
-              }
+    if (!event) {
+      logger.info('Reminder skipped — event no longer exists', { eventId: job.eventId });
+      return { skipped: true, reason: 'Event not found' };
+    }
 
-              // Skip past events
-              const eventDate = this.toDate(event.dateTime);
-              if (eventDate <= new Date()) {
-                console.log(`⏭️  Skipping past event: ${event.title}`);
-                continue;
-              }
+    if (!event.isActive) {
+      logger.info('Reminder skipped — event inactive', { eventId: event.id });
+      return { skipped: true, reason: 'Event inactive' };
+    }
 
-              /* ----- NEW EVENT ADDED ----- */
-              if (change.type === 'added') {
-                console.log(`🆕 Genuinely new event: ${event.title}`);
-
-                const existing = await this.firestore
-                  .collection('event_notifications')
-                  .doc(event.id)
-                  .get();
-
-                if (!existing.exists) {
-                  await this.sendNewEventNotification(event);
-                  this.eventCache.set(event.id, event.dateTime);
-                } else {
-                  console.log(`ℹ️  Already notified for: ${event.title} — skipping`);
-                  this.eventCache.set(event.id, existing.data().lastNotifiedDate);
-                }
-              }
+    // Guard against a reminder planned for an older date slipping through
+    const eventDate = this.toDate(event.dateTime);
+    const expectedSendAt = eventDate.getTime() - job.offsetMinutes * 60_000;
+    if (Math.abs(expectedSendAt - this.toTimestamp(job.sendAt)) > 60_000) {
+      logger.info('Reminder skipped — event was rescheduled', { eventId: event.id });
+      return { skipped: true, reason: 'Event rescheduled' };
+    }
 
-              /* ----- EVENT MODIFIED ----- */
-              if (change.type === 'modified') {
-                console.log(`🔄 Event modified: ${event.title}`);
+    logger.info('Sending event reminder', {
+      eventId: event.id,
+      title: event.title,
+      offset: eventReminders.formatOffset(job.offsetMinutes),
+    });
+
+    return this.sendLocalizedToAll(
+      'event_reminder',
+      {
+        title: event.title,
+        date: eventDate,
+        location: event.location,
+        startsIn: (locale) => templates.formatRelative(job.offsetMinutes, locale),
+      },
+      {
+        type: 'event_reminder',
+        eventId: String(event.id),
+        route: 'events',
+        imageUrl: event.imageUrl || '',
+      }
+    );
+  }
 
-                let oldDateTime = null;
+  /* =========================================================
+   * REAL-TIME EVENT LISTENER
+   * Runs on the events repository change feed (Firestore onSnapshot
+   * or the in-memory equivalent).
+   * ======================================================= */
+  startEventListener() {
+    logger.info('Starting event listener');
 
-                // Layer 1: in-memory cache
-                if (this.eventCache.has(event.id)) {
-                  oldDateTime = this.eventCache.get(event.id);
-                  console.log(`   📋 Got old date from memory cache`);
-                }
+    const unsubscribe = events.watch(
+      async (changes) => {
+        this.lastSnapshotAt = new Date();
+        metrics.listenerLastSnapshot.set(this.lastSnapshotAt.getTime() / 1000);
 
-                // Layer 2: Firestore record
-                if (!oldDateTime) {
-                  const notifDoc = await this.firestore
-                    .collection('event_notifications')
-                    .doc(event.id)
-                    .get();
-                  if (notifDoc.exists) {
-                    oldDateTime = notifDoc.data().lastNotifiedDate;
-                    console.log(`   📋 Got old date from Firestore`);
-                  }
-                }
+        // Skip initial load (an empty collection still completes it)
+        if (this.isInitialLoad) {
+          logger.info('Initial load: caching existing events — skipping notifications', {
+            events: changes.length,
+          });
+          changes.forEach(({ event }) => {
+            if (event.dateTime) {
+              this.eventCache.set(event.id, this._cacheEntry(event));
+              // Reminders may be missing for events created while we were down
+              if (event.isActive && event.title && this.toDate(event.dateTime) > new Date()) {
+                this._planReminders(event);
+              }
+            }
+          });
+          this.isInitialLoad = false;
+          metrics.listenerUp.set(1);
+          logger.info('Initial load complete — now listening for real changes');
+          return;
+        }
 
-                // Layer 3: no record — treat as new event
-                if (!oldDateTime) {
-                  console.log(
-                    `   ⚠️  No previous record for ${event.title} — treating as new`
-                  );
-                  await this.sendNewEventNotification(event);
-                  this.eventCache.set(event.id, event.dateTime);
-                  continue;
-                }
+        if (changes.length === 0) return;
 
-                const newDateTime = event.dateTime;
-                const oldTime = this.toTimestamp(oldDateTime);
-                const newTime = this.toTimestamp(newDateTime);
-
-                console.log(`   Old timestamp: ${oldTime}`);
-                console.log(`   New timestamp: ${newTime}`);
-
-                // ✅ FIX: Compare timestamps properly
-                if (oldTime !== newTime) {
-                  console.log('   ✅ Date changed — sending rescheduled notification...');
-                  await this.sendEventDateChangedNotification(
-                    event,
-                    oldDateTime,
-                    newDateTime
-                  );
-                  this.eventCache.set(event.id, event.dateTime);
-                } else {
-                  console.log('   ℹ️  Date unchanged — no notification needed');
-                  this.eventCache.set(event.id, event.dateTime);
-                }
-              }
+        logger.info('Received event changes', { changes: changes.length });
 
-              /* ----- EVENT DELETED ----- */
-              if (change.type === 'removed') {
-                console.log(`🗑️  Event removed: ${event.id}`);
-                this.eventCache.delete(event.id);
-              }
-            } catch (error) {
-              console.error(
-                '❌ Error processing change for event:',
-                change.doc.id,
-                error.message
-              );
-            }
+        for (const change of changes) {
+          metrics.listenerChanges.inc({ type: change.type });
+          const context = { changeId: crypto.randomUUID(), eventId: change.event.id };
+          try {
+            await logger.runWithContext(context, () => this._handleChange(change));
+          } catch (error) {
+            logger.error('Error processing event change', { ...context, error });
           }
-        },
-        (error) => {
-          console.error('❌ Snapshot listener error:', error.message);
-          this.isInitialLoad = true;
-          setTimeout(() => {
-            console.log('🔄 Restarting event listener...');
-            this.startEventListener();
-          }, 5000);
         }
-      );
+      },
+      (error) => {
+        logger.error('Event listener error', { error });
+        this.isInitialLoad = true;
+        metrics.listenerUp.set(0);
+        setTimeout(() => {
+          logger.info('Restarting event listener');
+          metrics.listenerRestarts.inc();
+          this.startEventListener();
+        }, 5000);
+      }
+    );
 
-    console.log('✅ Event listener started successfully');
+    logger.info('Event listener started');
     return unsubscribe;
   }
 
+  // Handles one change from the events feed (runs in a changeId context)
+  async _handleChange(change) {
+    const { event } = change;
+
+    /* ----- EVENT DELETED ----- */
+    if (change.type === 'removed') {
+      logger.info('Event removed', { eventId: event.id });
+      this.eventCache.delete(event.id);
+      await eventReminders.cancel(event.id);
+      await this.sendEventCancelledNotification(event, 'deleted');
+      return;
+    }
+
+    // Validate required fields
+    if (!event.title) {
+      logger.warn('Event missing title — skipping', { eventId: event.id });
+      return;
+    }
+    if (!event.dateTime) {
+      logger.warn('Event missing dateTime — skipping', { eventId: event.id });
+      return;
+    }
+
+    // Skip inactive events
+    if (!event.isActive) {
+      logger.info('Skipping inactive event', { eventId: event.id });
+      await eventReminders.cancel(event.id);
+      if (change.type === 'modified') {
+        this.eventCache.delete(event.id);
+        await this.sendEventCancelledNotification(event, 'deactivated');
+      }
+      return;
+    }
+
+    // Skip past events
+    const eventDate = this.toDate(event.dateTime);
+    if (eventDate <= new Date()) {
+      logger.info('Skipping past event', { eventId: event.id });
+      return;
+    }
+
+    /* ----- NEW EVENT ADDED ----- */
+    if (change.type === 'added') {
+      logger.info('New event', { eventId: event.id, title: event.title });
+
+      const existing = await eventNotifications.get(event.id);
+
+      // A cancelled event that comes back is announced again
+      if (!existing || existing.type === 'event_cancelled') {
+        await this.sendNewEventNotification(event);
+        this.eventCache.set(event.id, this._cacheEntry(event));
+      } else {
+        logger.info('Already notified for event — skipping', { eventId: event.id });
+        this.eventCache.set(event.id, this._recordCacheEntry(existing));
+      }
+
+      await this._planReminders(event);
+    }
+
+    /* ----- EVENT MODIFIED ----- */
+    if (change.type === 'modified') {
+      logger.info('Event modified', { eventId: event.id, title: event.title });
+
+      let previous = null;
+
+      // Layer 1: in-memory cache
+      if (this.eventCache.has(event.id)) {
+        previous = this.eventCache.get(event.id);
+        logger.debug('Got previous state from memory cache');
+      }
+
+      // Layer 2: stored notification record
+      if (!previous) {
+        const record = await eventNotifications.get(event.id);
+        // A cancelled-then-reactivated event falls through to "new"
+        if (record && record.type !== 'event_cancelled') {
+          previous = this._recordCacheEntry(record);
+          logger.debug('Got previous state from notification record');
+        }
+      }
+
+      // Layer 3: no record — treat as new event
+      if (!previous) {
+        logger.warn('No previous record for event — treating as new', { eventId: event.id });
+        await this.sendNewEventNotification(event);
+        this.eventCache.set(event.id, this._cacheEntry(event));
+        await this._planReminders(event);
+        return;
+      }
+
+      const oldDateTime = previous.dateTime;
+      const newDateTime = event.dateTime;
+      const oldTime = this.toTimestamp(oldDateTime);
+      const newTime = this.toTimestamp(newDateTime);
+      const fieldChanges = this._diffFields(previous.fields, event);
+
+      logger.debug('Comparing event timestamps', { oldTime, newTime });
+
+      // ✅ FIX: Compare timestamps properly
+      if (oldTime !== newTime) {
+        logger.info('Date changed — sending rescheduled notification');
+        await this.sendEventDateChangedNotification(
+          event,
+          oldDateTime,
+          newDateTime,
+          fieldChanges
+        );
+        await this._planReminders(event);
+      } else if (fieldChanges.length > 0) {
+        const changed = fieldChanges.map((c) => c.field).join(', ');
+        logger.info('Fields changed — sending update notification', { changed });
+        await this.sendEventUpdatedNotification(event, fieldChanges);
+      } else {
+        logger.info('No watched fields changed — no notification needed');
+      }
+
+      this.eventCache.set(event.id, this._cacheEntry(event));
+    }
+  }
+
   /* =========================================================
    * DAILY REMINDERS
    * ======================================================= */
   scheduleDailyReminders() {
-    console.log('⏰ Scheduling daily reminders at 9:00 AM Asia/Kathmandu...');
+    logger.info('Scheduling daily reminders at 9:00 AM Asia/Kathmandu');
 
     cron.schedule(
       '0 9 * * *',
-      async () => {
-        console.log('🔔 Running daily reminder check...');
-
-        try {
-          const now = new Date();
-          now.setHours(0, 0, 0, 0);
-          const tomorrowMs = now.getTime() + 86_400_000;
-
-          const snapshot = await this.firestore
-            .collection('events')
-            .where('isActive', '==', true)
-            .get();
-
-          const todayEvents = [];
-          const tomorrowEvents = [];
-
-          snapshot.forEach((doc) => {
-            const event = { id: doc.id, ...doc.data() };
-            const eventDate = this.toDate(event.dateTime);
-            eventDate.setHours(0, 0, 0, 0);
-            const t = eventDate.getTime();
-
-            if (t === now.getTime()) {
-              todayEvents.push(event);
-            } else if (t === tomorrowMs) {
-              tomorrowEvents.push(event);
-            }
-          });
+      () =>
+        logger.runWithContext({ job: 'daily_reminders', jobId: crypto.randomUUID() }, () =>
+          this._runDailyReminders()
+        ),
+      { timezone: 'Asia/Kathmandu' }
+    );
+    this.dailyReminders.scheduledAt = new Date();
 
-          if (todayEvents.length > 0) {
-            await this.sendToAll(
-              `🔥 Events Today (${todayEvents.length})`,
-              todayEvents
-                .map((e) => `• ${e.title}`)
-                .join('\n')
-                .substring(0, 100),
-              { type: 'daily_reminder', route: 'events' }
-            );
-            console.log(`✅ Sent today reminder for ${todayEvents.length} event(s)`);
-          }
+    logger.info('Daily reminder scheduled');
+  }
 
-          if (tomorrowEvents.length > 0) {
-            await this.sendToAll(
-              `📅 Tomorrow's Events (${tomorrowEvents.length})`,
-              tomorrowEvents
-                .map((e) => `• ${e.title}`)
-                .join('\n')
-                .substring(0, 100),
-              { type: 'daily_reminder', route: 'events' }
-            );
-            console.log(`✅ Sent tomorrow reminder for ${tomorrowEvents.length} event(s)`);
-          }
+  // One daily reminder run (in a jobId context)
+  async _runDailyReminders() {
+    logger.info('Running daily reminder check');
+    this.dailyReminders.lastRunAt = new Date();
 
-          if (todayEvents.length === 0 && tomorrowEvents.length === 0) {
-            console.log('ℹ️  No upcoming events to remind about today');
-          }
+    try {
+      const now = new Date();
+      now.setHours(0, 0, 0, 0);
+      const tomorrowMs = now.getTime() + 86_400_000;
+
+      const activeEvents = await events.listActive();
+
+      const todayEvents = [];
+      const tomorrowEvents = [];
 
-          console.log('✅ Daily reminder check completed');
-        } catch (error) {
-          console.error('❌ Error in daily reminder:', error.message);
+      activeEvents.forEach((event) => {
+        const eventDate = this.toDate(event.dateTime);
+        eventDate.setHours(0, 0, 0, 0);
+        const t = eventDate.getTime();
+
+        if (t === now.getTime()) {
+          todayEvents.push(event);
+        } else if (t === tomorrowMs) {
+          tomorrowEvents.push(event);
         }
-      },
-      { timezone: 'Asia/Kathmandu' }
-    );
+      });
 
-    console.log('✅ Daily reminder scheduled successfully');
+      if (todayEvents.length > 0) {
+        await this.sendLocalizedToAll(
+          'daily_today',
+          {
+            count: todayEvents.length,
+            list: todayEvents
+              .map((e) => `• ${e.title}`)
+              .join('\n')
+              .substring(0, 100),
+          },
+          { type: 'daily_reminder', route: 'events' }
+        );
+        logger.info('Sent today reminder', { events: todayEvents.length });
+      }
+
+      if (tomorrowEvents.length > 0) {
+        await this.sendLocalizedToAll(
+          'daily_tomorrow',
+          {
+            count: tomorrowEvents.length,
+            list: tomorrowEvents
+              .map((e) => `• ${e.title}`)
+              .join('\n')
+              .substring(0, 100),
+          },
+          { type: 'daily_reminder', route: 'events' }
+        );
+        logger.info('Sent tomorrow reminder', { events: tomorrowEvents.length });
+      }
+
+      if (todayEvents.length === 0 && tomorrowEvents.length === 0) {
+        logger.info('No upcoming events to remind about today');
+      }
+
+      logger.info('Daily reminder check completed');
+      this.dailyReminders.lastSuccessAt = new Date();
+      metrics.recordCronRun('daily_reminders', true);
+    } catch (error) {
+      logger.error('Error in daily reminder', { error });
+      metrics.recordCronRun('daily_reminders', false);
+    }
   }
 
   /* =========================================================
    * MANUAL TRIGGER
    * ======================================================= */
-  async sendEventNotification(eventId) {
-    console.log(`📢 Manual trigger for event: ${eventId}`);
+  async sendEventNotification(eventId, options = {}) {
+    logger.info('Manual trigger for event', { eventId });
 
-    const eventDoc = await this.firestore.collection('events').doc(eventId).get();
+    const event = await events.get(eventId);
 
-    if (!eventDoc.exists) {
+    if (!event) {
       throw new Error('Event not found');
     }
 
-    const event = { id: eventDoc.id, ...eventDoc.data() };
-    await this.sendNewEventNotification(event);
+    const result = await this.sendNewEventNotification(event, options);
+
+    if (options.dryRun) {
+      return result || { success: false, dryRun: true, error: 'Failed to build notification' };
+    }
     return { success: true, message: 'Notification sent' };
   }
 
   /* =========================================================
    * STATS
    * ======================================================= */
-  async getStats() {
+  // `range` is { from, to, groupBy } (see validateStatsQuery). Totals and
+  // the series come from the aggregated counters; recent entries from logs.
+  async getStats(range) {
     try {
-      const [logsSnap, errorsSnap] = await Promise.all([
-        this.firestore
-          .collection('notification_logs')
-          .orderBy('sentAt', 'desc')
-          .limit(100)
-          .get(),
-        this.firestore
-          .collection('notification_errors')
-          .orderBy('sentAt', 'desc')
-          .limit(100)
-          .get(),
+      const [counters, logs, errors] = await Promise.all([
+        stats.query(range),
+        notificationLogs.recent(10),
+        notificationErrors.recent(10),
       ]);
 
       return {
-        totalSent: logsSnap.size,
-        totalErrors: errorsSnap.size,
-        recentLogs: logsSnap.docs
-          .slice(0, 10)
-          .map((d) => ({ id: d.id, ...d.data() })),
-        recentErrors: errorsSnap.docs
-          .slice(0, 10)
-          .map((d) => ({ id: d.id, ...d.data() })),
+        totalSent: counters.totals.sent,
+        totalErrors: counters.totals.failed,
+        ...counters,
+        recentLogs: logs,
+        recentErrors: errors,
       };
     } catch (error) {
-      console.error('❌ Error getting stats:', error.message);
+      logger.error('Error getting stats', { error });
       return { error: error.message };
     }
   }
@@ -454,7 +940,10 @@ class NotificationService {
    * PRIVATE HELPERS
    * ======================================================= */
 
-  _buildMessage({ title, body, data = {}, target }) {
+  // `target` is exactly one of { topic }, { condition }, { token } or
+  // { tokens } (multicast) and is spread onto the message as-is. Chunks of
+  // one multicast share a trackingId.
+  _buildMessage({ title, body, data = {}, target, trackingId = tracking.newId() }) {
     const fcmData = {};
     for (const [k, v] of Object.entries(data)) {
       fcmData[k] = String(v);
@@ -463,6 +952,8 @@ class NotificationService {
     fcmData.type = fcmData.type || 'announcement';
     fcmData.timestamp = new Date().toISOString();
     fcmData.click_action = 'FLUTTER_NOTIFICATION_CLICK';
+    fcmData.trackingId = trackingId;
+    fcmData.trackingToken = tracking.sign(trackingId);
 
     const imageUrl =
       data.imageUrl && String(data.imageUrl).trim() !== ''
@@ -494,16 +985,432 @@ class NotificationService {
     };
   }
 
-  async _logError({ title, body, error }) {
+  // Identifies the API key or staff user behind a send in logs and dead letters
+  _requester(options) {
+    if (options.user) {
+      return { userUid: options.user.uid, userEmail: options.user.email };
+    }
+    return options.apiKey ? { apiKeyId: options.apiKey.id, apiKeyName: options.apiKey.name } : {};
+  }
+
+  // Top-level copies of data.type / data.eventId / data.trackingId so
+  // history can be filtered on them (see GET /api/logs)
+  _classify(message) {
+    const { type, eventId, trackingId } = message?.data || {};
+    return {
+      ...(type && { type }),
+      ...(eventId && { eventId }),
+      ...(trackingId && { trackingId }),
+    };
+  }
+
+  // Multicast token lists can run to hundreds of entries — log the count only
+  _loggedPayload(message) {
+    if (!message.tokens) return message;
+    // eslint-disable-next-line no-unused-vars
+    const { tokens, ...rest } = message;
+    return rest;
+  }
+
+  // Stats/tracking client label for a send's log fields
+  _client(fields) {
+    if (fields.apiKeyId) return fields.apiKeyId;
+    if (fields.userUid) return `user:${fields.userUid}`;
+    return 'system';
+  }
+
+  // Devices a single message was addressed to, if known (topics aren't)
+  _recipients(message) {
+    return message.token ? 1 : null;
+  }
+
+  // Feeds the aggregated counters behind /api/stats and the Prometheus
+  // send counter. `fields` are log fields (target plus requester);
+  // stats.record never throws, so no await.
+  _count(data, fields, sent, failed) {
+    const type = data?.type || 'announcement';
+    const target = fields.target || 'unknown';
+    if (sent) metrics.notificationsTotal.inc({ type, target, outcome: 'sent' }, sent);
+    if (failed) metrics.notificationsTotal.inc({ type, target, outcome: 'failed' }, failed);
+
+    stats.record({ type, target, client: this._client(fields), sent, failed });
+  }
+
+  // Registers a sent message for engagement tracking (see tracking.js).
+  // Never throws, so no await; messages from before tracking are skipped.
+  // Unknown recipients are estimated from `audience`, which defaults to the
+  // message's own topic.
+  _trackSent(message, fields, recipients, audience = {}) {
+    const { type, eventId, trackingId } = message.data || {};
+    if (!trackingId) return;
+
+    tracking.registerSend({
+      trackingId,
+      type,
+      eventId,
+      title: message.notification?.title,
+      target: fields.target,
+      client: this._client(fields),
+      recipients,
+      audience: { topic: audience.topic || message.topic },
+    });
+  }
+
+  // Tells webhook subscribers how a send went (see webhooks.js).
+  // Never throws, so no await.
+  _emitOutcome(type, message, fields, outcome) {
+    webhooks.emit(type, {
+      ...this._classify(message),
+      target: fields.target || 'unknown',
+      client: this._client(fields),
+      title: message?.notification?.title,
+      body: message?.notification?.body,
+      ...outcome,
+    });
+  }
+
+  // Sends one message to a single target (topic, condition or token) and
+  // records it in notification_logs.
+  async _sendSingle({ title, body, data, options = {}, target, label, logFields }) {
+    logFields = { ...logFields, ...this._requester(options) };
+    const message = this._buildMessage({
+      title,
+      body,
+      data,
+      target,
+      trackingId: options.trackingId,
+    });
+
+    if (options.dryRun) {
+      return this._dryRunSingle(message, label);
+    }
+
+    let response;
+    try {
+      response = await withRetry(() => this.transport.send(message), {
+        onRetry: (error, attempt, delay) =>
+          logger.warn('Send failed — retrying', { target: label, error, attempt, delay }),
+      });
+    } catch (error) {
+      logger.error('Error sending notification', { target: label, title, error });
+      this._count(data, logFields, 0, 1);
+      this._emitOutcome('notification.failed', message, logFields, {
+        error: error.message,
+        code: error.code || null,
+      });
+      await this._logError({ title, body, error, message, context: logFields });
+      if (isRetryable(error)) {
+        await deadLetters.park({
+          kind: 'single',
+          message,
+          title,
+          body,
+          error,
+          context: logFields,
+        });
+      }
+      throw error;
+    }
+
+    logger.info('Notification sent', { target: label, title });
+    this._count(data, logFields, 1, 0);
+    this._trackSent(message, logFields, this._recipients(message), options.audience);
+    this._emitOutcome('notification.sent', message, logFields, { messageId: response });
+
+    // The message is out — a failed log write must not turn it into a failure
+    try {
+      await notificationLogs.add({
+        title,
+        body,
+        data,
+        success: true,
+        sentAt: new Date(),
+        ...logger.correlation(),
+        ...logFields,
+        ...this._classify(message),
+        messageId: response,
+        payload: message,
+      });
+    } catch (error) {
+      logger.error('Failed to log notification send', { error });
+    }
+
+    return { success: true, messageId: response };
+  }
+
+  // Validate-only send: FCM checks the message but delivers nothing.
+  // No retries, no logs, no dead letters — the payload is returned as built.
+  async _dryRunSingle(message, label) {
+    try {
+      const messageId = await this.transport.send(message, true);
+      logger.info('Dry run: payload is valid', { target: label });
+      return { success: true, dryRun: true, valid: true, messageId, payload: message };
+    } catch (error) {
+      logger.info('Dry run: payload rejected', { target: label, error });
+      return {
+        success: false,
+        dryRun: true,
+        valid: false,
+        payload: message,
+        errors: [{ code: error.code, message: error.message }],
+      };
+    }
+  }
+
+  async _dryRunMulticast({ tokens, title, body, data }) {
+    const payloads = [];
+    const results = [];
+
+    for (let i = 0; i < tokens.length; i += MULTICAST_CHUNK_SIZE) {
+      const message = this._buildMessage({
+        title,
+        body,
+        data,
+        target: { tokens: tokens.slice(i, i + MULTICAST_CHUNK_SIZE) },
+      });
+      payloads.push(message);
+
+      try {
+        const response = await this.transport.sendEachForMulticast(message, true);
+        response.responses.forEach((r, idx) =>
+          results.push(
+            r.success
+              ? { token: message.tokens[idx], valid: true }
+              : {
+                  token: message.tokens[idx],
+                  valid: false,
+                  error: r.error.message,
+                  code: r.error.code,
+                }
+          )
+        );
+      } catch (error) {
+        message.tokens.forEach((token) =>
+          results.push({ token, valid: false, error: error.message, code: error.code })
+        );
+      }
+    }
+
+    const validCount = results.filter((r) => r.valid).length;
+    const valid = validCount === results.length;
+    logger.info('Dry run multicast', { valid: validCount, tokens: results.length });
+
+    return { success: valid, dryRun: true, valid, payloads, results };
+  }
+
+  // Sends one multicast chunk, retrying only the tokens that failed with a
+  // retryable error. Returns one result per token, in chunk order.
+  async _sendMulticastChunk(message) {
+    const results = new Map();
+    let pending = message.tokens;
+
+    for (let attempt = 1; pending.length > 0; attempt++) {
+      const isLastAttempt = attempt >= MAX_ATTEMPTS;
+      const retry = [];
+
+      try {
+        const response = await this.transport.sendEachForMulticast({ ...message, tokens: pending });
+
+        response.responses.forEach((r, idx) => {
+          const token = pending[idx];
+          if (r.success) {
+            results.set(token, { token, success: true, messageId: r.messageId });
+          } else if (isRetryable(r.error) && !isLastAttempt) {
+            retry.push(token);
+          } else {
+            results.set(token, {
+              token,
+              success: false,
+              error: r.error.message,
+              code: r.error.code,
+              retryable: isRetryable(r.error),
+            });
+          }
+        });
+      } catch (error) {
+        // The whole request failed (network, auth) — every pending token failed
+        if (isRetryable(error) && !isLastAttempt) {
+          retry.push(...pending);
+        } else {
+          logger.error('Error sending multicast chunk', { error });
+          pending.forEach((token) =>
+            results.set(token, {
+              token,
+              success: false,
+              error: error.message,
+              code: error.code,
+              retryable: isRetryable(error),
+            })
+          );
+        }
+      }
+
+      pending = retry;
+      if (pending.length > 0) {
+        const delay = backoffDelay(attempt);
+        logger.warn('Retrying multicast tokens', {
+          tokens: pending.length,
+          attempt: attempt + 1,
+          delay,
+        });
+        await sleep(delay);
+      }
+    }
+
+    return message.tokens.map((token) => results.get(token));
+  }
+
+  async _manageTopic(action, tokens, topic) {
+    const uniqueTokens = [...new Set(tokens)];
+    const results = [];
+
+    for (let i = 0; i < uniqueTokens.length; i += TOPIC_CHUNK_SIZE) {
+      const chunk = uniqueTokens.slice(i, i + TOPIC_CHUNK_SIZE);
+
+      const response =
+        action === 'subscribe'
+          ? await this.transport.subscribeToTopic(chunk, topic)
+          : await this.transport.unsubscribeFromTopic(chunk, topic);
+
+      // The response only lists failures, indexed into the chunk
+      const failures = new Map(response.errors.map((e) => [e.index, e.error]));
+      chunk.forEach((token, idx) => {
+        const error = failures.get(idx);
+        results.push(
+          error
+            ? { token, success: false, error: error.message, code: error.code }
+            : { token, success: true }
+        );
+      });
+    }
+
+    const succeeded = results.filter((r) => r.success).length;
+    const failed = results.length - succeeded;
+    const pruned = await this._pruneStaleTokens(results);
+
+    // Keeps topic audiences estimable (see DeviceRegistry.setTopic)
+    try {
+      await deviceRegistry.setTopic(
+        results.filter((r) => r.success).map((r) => r.token),
+        topic,
+        action === 'subscribe'
+      );
+    } catch (error) {
+      logger.error('Failed to record topic subscriptions', { topic, error });
+    }
+
+    logger.info(`Topic ${action} completed`, { topic, succeeded, failed, pruned });
+
+    return {
+      success: succeeded > 0,
+      topic,
+      succeeded,
+      failed,
+      pruned,
+      errors: results.filter((r) => !r.success),
+    };
+  }
+
+  async _pruneStaleTokens(results) {
+    const staleTokens = results
+      .filter((r) => !r.success && STALE_TOKEN_ERRORS.includes(r.code))
+      .map((r) => r.token);
+
+    try {
+      return await deviceRegistry.removeTokens(staleTokens);
+    } catch (error) {
+      logger.error('Failed to prune stale tokens', { error });
+      return 0;
+    }
+  }
+
+  // Values of the watched fields, normalized to strings for comparison
+  _snapshotFields(event) {
+    const fields = {};
+    for (const field of WATCHED_EVENT_FIELDS) {
+      const value = event[field];
+      if (value === undefined || value === null) {
+        fields[field] = '';
+      } else if (value instanceof Date) {
+        fields[field] = value.toISOString();
+      } else if (typeof value.toDate === 'function') {
+        fields[field] = value.toDate().toISOString();
+      } else if (typeof value === 'object') {
+        fields[field] = JSON.stringify(value);
+      } else {
+        fields[field] = String(value);
+      }
+    }
+    return fields;
+  }
+
+  _cacheEntry(event) {
+    return { dateTime: event.dateTime, fields: this._snapshotFields(event) };
+  }
+
+  // Records written before field tracking have no snapshot — only the date is compared
+  _recordCacheEntry(record) {
+    return { dateTime: record.lastNotifiedDate, fields: record.snapshot || null };
+  }
+
+  _diffFields(previousFields, event) {
+    if (!previousFields) return [];
+
+    const current = this._snapshotFields(event);
+    return WATCHED_EVENT_FIELDS.filter(
+      (field) => field in previousFields && previousFields[field] !== current[field]
+    ).map((field) => ({ field, from: previousFields[field], to: current[field] }));
+  }
+
+  // `labels` come from the event_updated template variant for the locale
+  _describeChange({ field, to }, labels) {
+    const label = labels[field] || field;
+    if (field === 'imageUrl') {
+      return to
+        ? labels.newImage || 'New event image'
+        : labels.removedImage || 'Event image removed';
+    }
+    if (!to) return `${label} ${labels.removed || 'removed'}`;
+    return `${label}: ${to.length > 80 ? `${to.substring(0, 77)}...` : to}`;
+  }
+
+  // FCM data values must be strings and the whole payload stays under 4KB
+  _changesPayload(fieldChanges) {
+    const changes = {};
+    for (const { field, from, to } of fieldChanges) {
+      changes[field] = { from: from.substring(0, 200), to: to.substring(0, 200) };
+    }
+    return {
+      changedFields: fieldChanges.map((c) => c.field).join(','),
+      changes: JSON.stringify(changes),
+    };
+  }
+
+  // Reminder planning must never break notification flow
+  async _planReminders(event) {
+    try {
+      await eventReminders.plan(event, this.toDate(event.dateTime));
+    } catch (error) {
+      logger.error('Failed to plan reminders', { eventId: event.id, error });
+    }
+  }
+
+  // `message` is the FCM payload that failed, `context` its log fields
+  async _logError({ title, body, error, message, context = {} }) {
     try {
-      await this.firestore.collection('notification_errors').add({
+      await notificationErrors.add({
         title,
         body,
         error: error.message,
+        ...(error.code && { code: error.code }),
         sentAt: new Date(),
+        ...logger.correlation(),
+        ...context,
+        ...(message && { ...this._classify(message), payload: this._loggedPayload(message) }),
       });
     } catch (logErr) {
-      console.error('❌ Failed to log error to Firestore:', logErr.message);
+      metrics.errorLogWriteFailures.inc();
+      logger.error('Failed to log send error', { error: logErr });
     }
   }
 
@@ -554,24 +1461,15 @@ class NotificationService {
   }
 
   // ✅ FIX: Better date formatting
-  formatEventDate(date) {
+  formatEventDate(date, locale = templates.defaultLocale) {
     try {
       // Ensure we have a valid Date object
       const d = date instanceof Date ? date : this.toDate(date);
-      
-      // Format for Nepal timezone (Asia/Kathmandu)
-      return d.toLocaleString('en-US', {
-        weekday: 'short',
-        month: 'short',
-        day: 'numeric',
-        year: 'numeric',
-        hour: '2-digit',
-        minute: '2-digit',
-        hour12: true,
-        timeZone: 'Asia/Kathmandu'
-      });
+
+      // Locale-aware, always in Nepal timezone (Asia/Kathmandu)
+      return templates.formatDate(d, locale);
     } catch (error) {
-      console.error('Error formatting date:', error);
+      logger.error('Error formatting date', { error });
       return date.toString();
     }
   }
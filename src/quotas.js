@@ -0,0 +1,152 @@
+const { quotaUsage } = require('./repositories');
+const deviceRegistry = require('./deviceregistry');
+const logger = require('./logger');
+
+const envInt = (name, fallback) => {
+  const value = parseInt(process.env[name], 10);
+  return Number.isInteger(value) && value >= 0 ? value : fallback;
+};
+
+// Defaults for every client; API keys can override any of them (see /api/api-keys)
+const DEFAULT_LIMITS = {
+  // Requests per rate-limit window (see middleware/rateLimit.js)
+  broadcastRate: envInt('RATE_LIMIT_BROADCAST', 10),
+  sendRate: envInt('RATE_LIMIT_SEND', 50),
+  readRate: envInt('RATE_LIMIT_READ', 100),
+  // Daily budgets: broadcasts, and messages to individual devices
+  broadcastDaily: envInt('QUOTA_BROADCAST_DAILY', 20),
+  deviceDaily: envInt('QUOTA_DEVICE_DAILY', 10000),
+};
+
+const LIMIT_FIELDS = Object.keys(DEFAULT_LIMITS);
+
+// Daily quota kinds and the limit field that caps each
+const QUOTA_LIMITS = { broadcast: 'broadcastDaily', device: 'deviceDaily' };
+
+// Topic/segment targets reach whole audiences; the rest reach known devices
+const BROADCAST_TARGETS = ['all', 'topic', 'segment'];
+
+/**
+ * Quota Service
+ * Daily send budgets per client, counted per UTC day in a shared store
+ * (Firestore, or process memory with STORAGE_BACKEND=memory). Broadcasts
+ * count one per send; device sends count one per target device.
+ *
+ * If the store is unreachable, usage is counted in process memory until
+ * it recovers rather than blocking sends.
+ */
+class QuotaService {
+  constructor() {
+    this.memory = new Map();
+  }
+
+  limitsFor(caller) {
+    return { ...DEFAULT_LIMITS, ...caller?.limits };
+  }
+
+  targetKind(target) {
+    return BROADCAST_TARGETS.includes(target.type) ? 'broadcast' : 'device';
+  }
+
+  // Units a send to `target` costs: one per device for device targets (a
+  // user's devices are counted now), one per send for broadcasts
+  async targetUnits(target) {
+    if (target.type === 'devices') return target.tokens.length;
+    if (target.type === 'user') {
+      return Math.max((await deviceRegistry.getUserTokens(target.userId)).length, 1);
+    }
+    return 1;
+  }
+
+  /* =========================================================
+   * CONSUME
+   * Atomically adds `amount` to today's usage unless that would exceed
+   * the limit. Returns the resulting budget either way.
+   * ======================================================= */
+  async consume(clientId, kind, amount, limit) {
+    const { id, resetAt } = this._bucket(clientId, kind);
+
+    const used = await this._update(
+      id,
+      (current) => (current + amount > limit ? null : current + amount),
+      { clientId, kind, resetAt }
+    );
+
+    const allowed = used !== null;
+    const total = allowed ? used : await this._read(id);
+    return { allowed, used: total, limit, remaining: Math.max(limit - total, 0), resetAt };
+  }
+
+  // Gives back budget for a send that failed on our side, or was called
+  // off. `at` picks the day the amount was charged to.
+  async refund(clientId, kind, amount, at = new Date()) {
+    const { id, resetAt } = this._bucket(clientId, kind, at);
+    await this._update(id, (current) => Math.max(current - amount, 0), {
+      clientId,
+      kind,
+      resetAt,
+    });
+  }
+
+  /* =========================================================
+   * USAGE
+   * ======================================================= */
+  async usage(clientId, limits) {
+    const out = {};
+    for (const [kind, field] of Object.entries(QUOTA_LIMITS)) {
+      const { id, resetAt } = this._bucket(clientId, kind);
+      const used = await this._read(id);
+      out[kind] = {
+        limit: limits[field],
+        used,
+        remaining: Math.max(limits[field] - used, 0),
+        resetAt: resetAt.toISOString(),
+      };
+    }
+    return out;
+  }
+
+  limitField(kind) {
+    return QUOTA_LIMITS[kind];
+  }
+
+  /* =========================================================
+   * PRIVATE HELPERS
+   * ======================================================= */
+
+  _bucket(clientId, kind, at = new Date()) {
+    const day = at.toISOString().slice(0, 10);
+    const resetAt = new Date(`${day}T00:00:00.000Z`);
+    resetAt.setUTCDate(resetAt.getUTCDate() + 1);
+
+    // Doc IDs cannot contain "/"
+    const safeClient = clientId.replace(/\//g, '_');
+    return { id: `${safeClient}_${kind}_${day}`, resetAt };
+  }
+
+  // fn(currentUsed) → new value, or null to leave it unchanged.
+  // Resolves to the new value (null if unchanged).
+  async _update(id, fn, fields) {
+    try {
+      return await quotaUsage.adjust(id, fn, fields);
+    } catch (error) {
+      logger.error('Quota store unavailable — counting in memory', { error });
+    }
+
+    const next = fn(this.memory.get(id) || 0);
+    if (next !== null) this.memory.set(id, next);
+    return next;
+  }
+
+  async _read(id) {
+    try {
+      return await quotaUsage.read(id);
+    } catch (error) {
+      logger.error('Quota store unavailable — reading from memory', { error });
+    }
+    return this.memory.get(id) || 0;
+  }
+}
+
+module.exports = new QuotaService();
+module.exports.LIMIT_FIELDS = LIMIT_FIELDS;
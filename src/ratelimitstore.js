@@ -0,0 +1,63 @@
+const crypto = require('crypto');
+const { MemoryStore } = require('express-rate-limit');
+const { rateLimits } = require('./repositories');
+const logger = require('./logger');
+
+/**
+ * Shared Rate-Limit Store (express-rate-limit Store API)
+ * Fixed-window hit counters in the rate-limits repository, so with
+ * Firestore limits survive deploys and are shared by every instance. Each
+ * window is its own counter.
+ *
+ * Falls back to a process-local MemoryStore per request if the repository
+ * is unreachable — a storage outage must not block sends, it only makes
+ * limits per-instance until it recovers.
+ */
+class SharedRateLimitStore {
+  constructor(prefix) {
+    this.prefix = prefix;
+    this.fallback = new MemoryStore();
+  }
+
+  init(options) {
+    this.windowMs = options.windowMs;
+    this.fallback.init(options);
+  }
+
+  async increment(key) {
+    try {
+      const { id, resetTime } = this._window(key);
+      const totalHits = await rateLimits.increment(id, resetTime);
+      return { totalHits, resetTime };
+    } catch (error) {
+      logger.error('Rate-limit store unavailable', { store: this.prefix, error });
+      return this.fallback.increment(key);
+    }
+  }
+
+  async decrement(key) {
+    try {
+      await rateLimits.decrement(this._window(key).id);
+    } catch (error) {
+      logger.error('Rate-limit store unavailable', { store: this.prefix, error });
+    }
+  }
+
+  async resetKey(key) {
+    await this.fallback.resetKey(key);
+    await rateLimits.delete(this._window(key).id);
+  }
+
+  // Counter for the window the current time falls in
+  _window(key) {
+    const windowStart = Math.floor(Date.now() / this.windowMs) * this.windowMs;
+    const keyHash = crypto.createHash('sha256').update(key).digest('hex').slice(0, 32);
+
+    return {
+      id: `${this.prefix}_${keyHash}_${windowStart}`,
+      resetTime: new Date(windowStart + this.windowMs),
+    };
+  }
+}
+
+module.exports = { SharedRateLimitStore };
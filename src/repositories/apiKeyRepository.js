@@ -0,0 +1,65 @@
+const { getFirestore } = require('../firebase');
+const { fromSnapshot, MemoryCollection } = require('./helpers');
+
+const COLLECTION = 'api_keys';
+
+/**
+ * API Keys Repository — keyed by the public key ID
+ *   set(id, record)       → store a key record
+ *   get(id)               → record | null
+ *   list()                → all keys, newest first
+ *   update(id, fields)    → partial update
+ */
+
+class FirestoreApiKeyRepository {
+  get firestore() {
+    return getFirestore();
+  }
+
+  async set(id, record) {
+    await this.firestore.collection(COLLECTION).doc(id).set(record);
+  }
+
+  async get(id) {
+    return fromSnapshot(await this.firestore.collection(COLLECTION).doc(id).get());
+  }
+
+  async list() {
+    const snapshot = await this.firestore
+      .collection(COLLECTION)
+      .orderBy('createdAt', 'desc')
+      .get();
+    return snapshot.docs.map(fromSnapshot);
+  }
+
+  async update(id, fields) {
+    await this.firestore.collection(COLLECTION).doc(id).update(fields);
+  }
+}
+
+class MemoryApiKeyRepository {
+  constructor() {
+    this.store = new MemoryCollection('api_key');
+  }
+
+  async set(id, record) {
+    this.store.set(id, record);
+  }
+
+  async get(id) {
+    return this.store.get(id);
+  }
+
+  async list() {
+    return this.store.all().sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  async update(id, fields) {
+    if (!this.store.has(id)) {
+      throw new Error(`No API key with id ${id}`);
+    }
+    this.store.merge(id, fields);
+  }
+}
+
+module.exports = { FirestoreApiKeyRepository, MemoryApiKeyRepository };
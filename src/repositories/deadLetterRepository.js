@@ -0,0 +1,80 @@
+const { getFirestore } = require('../firebase');
+const { fromSnapshot, withoutId, MemoryCollection } = require('./helpers');
+
+const COLLECTION = 'dead_letters';
+
+/**
+ * Dead Letters Repository
+ *   create(record)            → id
+ *   get(id)                   → dead letter | null
+ *   list({ status, limit })   → newest first, optionally of one status
+ *   mutate(id, fn)            → atomic read-modify-write, as in the
+ *                               scheduled notifications repository
+ */
+
+class FirestoreDeadLetterRepository {
+  get firestore() {
+    return getFirestore();
+  }
+
+  async create(record) {
+    const ref = await this.firestore.collection(COLLECTION).add(record);
+    return ref.id;
+  }
+
+  async get(id) {
+    return fromSnapshot(await this.firestore.collection(COLLECTION).doc(id).get());
+  }
+
+  async list({ status, limit = 50 } = {}) {
+    let query = this.firestore.collection(COLLECTION);
+    if (status) {
+      // Requires a composite index on (status ASC, createdAt DESC)
+      query = query.where('status', '==', status);
+    }
+
+    const snapshot = await query.orderBy('createdAt', 'desc').limit(limit).get();
+    return snapshot.docs.map(fromSnapshot);
+  }
+
+  async mutate(id, fn) {
+    const ref = this.firestore.collection(COLLECTION).doc(id);
+
+    return this.firestore.runTransaction(async (tx) => {
+      const { write, result } = fn(fromSnapshot(await tx.get(ref)));
+      if (write) tx.set(ref, withoutId(write));
+      return result;
+    });
+  }
+}
+
+class MemoryDeadLetterRepository {
+  constructor() {
+    this.store = new MemoryCollection('dead_letter');
+  }
+
+  async create(record) {
+    return this.store.add(record);
+  }
+
+  async get(id) {
+    return this.store.get(id);
+  }
+
+  async list({ status, limit = 50 } = {}) {
+    return this.store
+      .all()
+      .filter((entry) => !status || entry.status === status)
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, limit);
+  }
+
+  // Single-threaded: nothing can interleave between the read and the write
+  async mutate(id, fn) {
+    const { write, result } = fn(this.store.get(id));
+    if (write) this.store.set(id, write);
+    return result;
+  }
+}
+
+module.exports = { FirestoreDeadLetterRepository, MemoryDeadLetterRepository };
@@ -0,0 +1,140 @@
+const { FieldValue } = require('firebase-admin/firestore');
+const { getFirestore } = require('../firebase');
+const { fromSnapshot, MemoryCollection } = require('./helpers');
+
+const COLLECTION = 'device_tokens';
+
+// Firestore batches are capped at 500 writes
+const BATCH_SIZE = 500;
+
+/**
+ * Device Tokens Repository — one record per FCM token, keyed by a hash of
+ * the token (see DeviceRegistry)
+ *   get(id)               → device | null
+ *   merge(id, fields)     → update/create with the given fields
+ *   delete(id)            → true if it existed
+ *   deleteMany(ids)       → removes every listed device
+ *   findByUser(userId)    → all devices of a user
+ *   count()               → number of registered devices
+ *   setTopic(ids, topic, subscribed)
+ *                         → adds/removes `topic` in the `topics` list of
+ *                           those devices that are registered
+  *   countByTopic(topic)   → number of devices subscribed to `topic`
+ */
+
+class FirestoreDeviceRepository {
+  get firestore() {
+    return getFirestore();
+  }
+
+  async get(id) {
+    return fromSnapshot(await this.firestore.collection(COLLECTION).doc(id).get());
+  }
+
+  async merge(id, fields) {
+    await this.firestore.collection(COLLECTION).doc(id).set(fields, { merge: true });
+  }
+
+  async delete(id) {
+    const ref = this.firestore.collection(COLLECTION).doc(id);
+    const existing = await ref.get();
+    if (!existing.exists) return false;
+    await ref.delete();
+    return true;
+  }
+
+  async deleteMany(ids) {
+    for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+      const batch = this.firestore.batch();
+      ids
+        .slice(i, i + BATCH_SIZE)
+        .forEach((id) => batch.delete(this.firestore.collection(COLLECTION).doc(id)));
+      await batch.commit();
+    }
+  }
+
+  async findByUser(userId) {
+    const snapshot = await this.firestore
+      .collection(COLLECTION)
+      .where('userId', '==', userId)
+      .get();
+    return snapshot.docs.map(fromSnapshot);
+  }
+
+  // An aggregation query — no documents are read
+  async count() {
+    const snapshot = await this.firestore.collection(COLLECTION).count().get();
+    return snapshot.data().count;
+  }
+
+  async setTopic(ids, topic, subscribed) {
+    const change = subscribed ? FieldValue.arrayUnion(topic) : FieldValue.arrayRemove(topic);
+
+    for (let i = 0; i < ids.length; i += BATCH_SIZE) {
+      const refs = ids
+        .slice(i, i + BATCH_SIZE)
+        .map((id) => this.firestore.collection(COLLECTION).doc(id));
+
+      // update() fails on a missing document — skip unregistered tokens
+      const docs = await this.firestore.getAll(...refs);
+      const batch = this.firestore.batch();
+      docs.filter((doc) => doc.exists).forEach((doc) => batch.update(doc.ref, { topics: change }));
+      await batch.commit();
+    }
+  }
+
+  async countByTopic(topic) {
+    const snapshot = await this.firestore
+      .collection(COLLECTION)
+      .where('topics', 'array-contains', topic)
+      .count()
+      .get();
+    return snapshot.data().count;
+  }
+}
+
+class MemoryDeviceRepository {
+  constructor() {
+    this.store = new MemoryCollection('device');
+  }
+
+  async get(id) {
+    return this.store.get(id);
+  }
+
+  async merge(id, fields) {
+    this.store.merge(id, fields);
+  }
+
+  async delete(id) {
+    return this.store.delete(id);
+  }
+
+  async deleteMany(ids) {
+    ids.forEach((id) => this.store.delete(id));
+  }
+
+  async findByUser(userId) {
+    return this.store.all().filter((device) => device.userId === userId);
+  }
+
+  async count() {
+    return this.store.docs.size;
+  }
+
+  async setTopic(ids, topic, subscribed) {
+    for (const id of ids) {
+      const device = this.store.get(id);
+      if (!device) continue;
+
+      const topics = (device.topics || []).filter((t) => t !== topic);
+      this.store.merge(id, { topics: subscribed ? [...topics, topic] : topics });
+    }
+  }
+
+  async countByTopic(topic) {
+    return this.store.all().filter((device) => (device.topics || []).includes(topic)).length;
+  }
+}
+
+module.exports = { FirestoreDeviceRepository, MemoryDeviceRepository };
@@ -0,0 +1,49 @@
+const { getFirestore } = require('../firebase');
+const { fromSnapshot, MemoryCollection } = require('./helpers');
+
+const COLLECTION = 'event_notifications';
+
+/**
+ * Event Notifications Repository — one record per announced event, keyed by event ID
+ *   get(eventId)             → record | null
+ *   set(eventId, record)     → replace the record
+ *   merge(eventId, fields)   → update/create with the given fields
+ */
+
+class FirestoreEventNotificationRepository {
+  get firestore() {
+    return getFirestore();
+  }
+
+  async get(eventId) {
+    return fromSnapshot(await this.firestore.collection(COLLECTION).doc(eventId).get());
+  }
+
+  async set(eventId, record) {
+    await this.firestore.collection(COLLECTION).doc(eventId).set(record);
+  }
+
+  async merge(eventId, fields) {
+    await this.firestore.collection(COLLECTION).doc(eventId).set(fields, { merge: true });
+  }
+}
+
+class MemoryEventNotificationRepository {
+  constructor() {
+    this.store = new MemoryCollection('event_notification');
+  }
+
+  async get(eventId) {
+    return this.store.get(eventId);
+  }
+
+  async set(eventId, record) {
+    this.store.set(eventId, record);
+  }
+
+  async merge(eventId, fields) {
+    this.store.merge(eventId, fields);
+  }
+}
+
+module.exports = { FirestoreEventNotificationRepository, MemoryEventNotificationRepository };
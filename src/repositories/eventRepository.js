@@ -0,0 +1,105 @@
+const { EventEmitter } = require('events');
+const { getFirestore } = require('../firebase');
+const { fromSnapshot, withoutId, MemoryCollection } = require('./helpers');
+
+const COLLECTION = 'events';
+
+/**
+ * Events Repository
+ *   get(id)                    → event | null
+ *   listActive()               → events with isActive === true
+ *   watch(onChanges, onError)  → unsubscribe function
+ *   save(event)                → upsert (emits added/modified)
+ *   remove(id)                 → true if it existed (emits removed)
+ *
+ * watch() is the change feed: onChanges receives
+ * [{ type: 'added' | 'modified' | 'removed', event }]. The first call carries
+ * every existing event as 'added' (the initial load), like onSnapshot.
+ */
+
+class FirestoreEventRepository {
+  get firestore() {
+    return getFirestore();
+  }
+
+  async get(id) {
+    return fromSnapshot(await this.firestore.collection(COLLECTION).doc(id).get());
+  }
+
+  async listActive() {
+    const snapshot = await this.firestore
+      .collection(COLLECTION)
+      .where('isActive', '==', true)
+      .get();
+    return snapshot.docs.map(fromSnapshot);
+  }
+
+  watch(onChanges, onError) {
+    return this.firestore.collection(COLLECTION).onSnapshot(
+      (snapshot) =>
+        onChanges(
+          snapshot.docChanges().map((change) => ({
+            type: change.type,
+            event: fromSnapshot(change.doc),
+          }))
+        ),
+      onError
+    );
+  }
+
+  async save(event) {
+    await this.firestore.collection(COLLECTION).doc(event.id).set(withoutId(event));
+  }
+
+  async remove(id) {
+    const ref = this.firestore.collection(COLLECTION).doc(id);
+    const doc = await ref.get();
+    if (!doc.exists) return false;
+    await ref.delete();
+    return true;
+  }
+}
+
+class MemoryEventRepository {
+  constructor() {
+    this.store = new MemoryCollection('event');
+    this.emitter = new EventEmitter();
+  }
+
+  async get(id) {
+    return this.store.get(id);
+  }
+
+  async listActive() {
+    return this.store.all().filter((event) => event.isActive === true);
+  }
+
+  watch(onChanges) {
+    const listener = (changes) => onChanges(changes);
+
+    // Deliver the initial load asynchronously, as Firestore does
+    setImmediate(() => {
+      onChanges(this.store.all().map((event) => ({ type: 'added', event })));
+      this.emitter.on('changes', listener);
+    });
+
+    return () => this.emitter.off('changes', listener);
+  }
+
+  async save(event) {
+    const type = this.store.has(event.id) ? 'modified' : 'added';
+    this.store.set(event.id, event);
+    this.emitter.emit('changes', [{ type, event: this.store.get(event.id) }]);
+  }
+
+  async remove(id) {
+    const existing = this.store.get(id);
+    if (!existing) return false;
+
+    this.store.delete(id);
+    this.emitter.emit('changes', [{ type: 'removed', event: existing }]);
+    return true;
+  }
+}
+
+module.exports = { FirestoreEventRepository, MemoryEventRepository };
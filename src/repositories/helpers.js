@@ -0,0 +1,73 @@
+/**
+ * Shared helpers for repository implementations.
+ * Repositories always return plain objects: `{ id, ...fields }` with
+ * Firestore Timestamps converted to Dates, whatever the backend.
+ */
+
+function fromSnapshot(doc) {
+  if (!doc.exists) return null;
+  return { id: doc.id, ...convertTimestamps(doc.data()) };
+}
+
+function convertTimestamps(data) {
+  const out = {};
+  for (const [key, value] of Object.entries(data)) {
+    out[key] = value && typeof value.toDate === 'function' ? value.toDate() : value;
+  }
+  return out;
+}
+
+function withoutId(record) {
+  // eslint-disable-next-line no-unused-vars
+  const { id, ...fields } = record;
+  return fields;
+}
+
+/**
+ * Minimal in-memory document collection used by the memory repositories.
+ * Documents are deep-copied on the way in and out so callers can't mutate
+ * stored state by accident (matches Firestore semantics).
+ */
+class MemoryCollection {
+  constructor(prefix) {
+    this.prefix = prefix;
+    this.docs = new Map();
+    this.counter = 0;
+  }
+
+  add(fields) {
+    const id = `${this.prefix}_${++this.counter}`;
+    this.docs.set(id, structuredClone(fields));
+    return id;
+  }
+
+  has(id) {
+    return this.docs.has(id);
+  }
+
+  get(id) {
+    return this.docs.has(id) ? { id, ...structuredClone(this.docs.get(id)) } : null;
+  }
+
+  set(id, fields) {
+    this.docs.set(id, structuredClone(withoutId(fields)));
+  }
+
+  merge(id, fields) {
+    this.docs.set(id, { ...this.docs.get(id), ...structuredClone(withoutId(fields)) });
+  }
+
+  delete(id) {
+    return this.docs.delete(id);
+  }
+
+  all() {
+    return [...this.docs.keys()].map((id) => this.get(id));
+  }
+
+  clear() {
+    this.docs.clear();
+  }
+}
+
+module.exports = { fromSnapshot, convertTimestamps, withoutId, MemoryCollection };
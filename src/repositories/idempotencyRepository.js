@@ -0,0 +1,42 @@
+const { getFirestore } = require('../firebase');
+const { fromSnapshot, withoutId, MemoryCollection } = require('./helpers');
+
+// Configure a Firestore TTL policy on `expiresAt` so expired records are removed
+const COLLECTION = 'idempotency_keys';
+
+/**
+ * Idempotency Records Repository — keyed by a hash of the request identity
+ *   mutate(id, fn)        → atomic read-modify-write, as in the
+ *                           scheduled notifications repository
+ */
+
+class FirestoreIdempotencyRepository {
+  get firestore() {
+    return getFirestore();
+  }
+
+  async mutate(id, fn) {
+    const ref = this.firestore.collection(COLLECTION).doc(id);
+
+    return this.firestore.runTransaction(async (tx) => {
+      const { write, result } = fn(fromSnapshot(await tx.get(ref)));
+      if (write) tx.set(ref, withoutId(write));
+      return result;
+    });
+  }
+}
+
+class MemoryIdempotencyRepository {
+  constructor() {
+    this.store = new MemoryCollection('idempotency');
+  }
+
+  // Single-threaded: nothing can interleave between the read and the write
+  async mutate(id, fn) {
+    const { write, result } = fn(this.store.get(id));
+    if (write) this.store.set(id, write);
+    return result;
+  }
+}
+
+module.exports = { FirestoreIdempotencyRepository, MemoryIdempotencyRepository };
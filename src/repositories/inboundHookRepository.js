@@ -0,0 +1,107 @@
+const { getFirestore } = require('../firebase');
+const { fromSnapshot, MemoryCollection } = require('./helpers');
+
+const COLLECTION = 'inbound_hooks';
+
+// Configure a Firestore TTL policy on `expiresAt` so old claims are removed
+const SIGNATURES_COLLECTION = 'inbound_hook_signatures';
+
+/**
+ * Inbound Hooks Repository
+ *   create(record)                  → id
+ *   get(id)                         → hook | null
+ *   list()                          → all hooks, newest first
+ *   update(id, fields)              → partial update
+ *   delete(id)                      → true if it existed
+ *   claimSignature(key, expiresAt)  → true the first time a request
+ *                                     signature is seen, false on a replay
+ */
+
+class FirestoreInboundHookRepository {
+  get firestore() {
+    return getFirestore();
+  }
+
+  async create(record) {
+    const ref = await this.firestore.collection(COLLECTION).add(record);
+    return ref.id;
+  }
+
+  async get(id) {
+    return fromSnapshot(await this.firestore.collection(COLLECTION).doc(id).get());
+  }
+
+  async list() {
+    const snapshot = await this.firestore
+      .collection(COLLECTION)
+      .orderBy('createdAt', 'desc')
+      .get();
+    return snapshot.docs.map(fromSnapshot);
+  }
+
+  async update(id, fields) {
+    await this.firestore.collection(COLLECTION).doc(id).update(fields);
+  }
+
+  async delete(id) {
+    const ref = this.firestore.collection(COLLECTION).doc(id);
+    const existing = await ref.get();
+    if (!existing.exists) return false;
+    await ref.delete();
+    return true;
+  }
+
+  async claimSignature(key, expiresAt) {
+    try {
+      await this.firestore.collection(SIGNATURES_COLLECTION).doc(key).create({ expiresAt });
+      return true;
+    } catch (error) {
+      // ALREADY_EXISTS
+      if (error.code === 6) return false;
+      throw error;
+    }
+  }
+}
+
+class MemoryInboundHookRepository {
+  constructor() {
+    this.store = new MemoryCollection('hook');
+    this.signatures = new Map();
+  }
+
+  async create(record) {
+    return this.store.add(record);
+  }
+
+  async get(id) {
+    return this.store.get(id);
+  }
+
+  async list() {
+    return this.store.all().sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  async update(id, fields) {
+    if (!this.store.has(id)) {
+      throw new Error(`No inbound hook with id ${id}`);
+    }
+    this.store.merge(id, fields);
+  }
+
+  async delete(id) {
+    return this.store.delete(id);
+  }
+
+  async claimSignature(key, expiresAt) {
+    const now = new Date();
+    for (const [claimed, expiry] of this.signatures) {
+      if (expiry <= now) this.signatures.delete(claimed);
+    }
+
+    if (this.signatures.has(key)) return false;
+    this.signatures.set(key, expiresAt);
+    return true;
+  }
+}
+
+module.exports = { FirestoreInboundHookRepository, MemoryInboundHookRepository };
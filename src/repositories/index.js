@@ -0,0 +1,104 @@
+const {
+  FirestoreEventRepository,
+  MemoryEventRepository,
+} = require('./eventRepository');
+const {
+  FirestoreEventNotificationRepository,
+  MemoryEventNotificationRepository,
+} = require('./eventNotificationRepository');
+const { FirestoreLogRepository, MemoryLogRepository } = require('./logRepository');
+const {
+  FirestoreScheduledNotificationRepository,
+  MemoryScheduledNotificationRepository,
+} = require('./scheduledNotificationRepository');
+const { FirestoreStatsRepository, MemoryStatsRepository } = require('./statsRepository');
+const { FirestoreTrackingRepository, MemoryTrackingRepository } = require('./trackingRepository');
+const { FirestoreWebhookRepository, MemoryWebhookRepository } = require('./webhookRepository');
+const {
+  FirestoreWebhookDeliveryRepository,
+  MemoryWebhookDeliveryRepository,
+} = require('./webhookDeliveryRepository');
+const {
+  FirestoreInboundHookRepository,
+  MemoryInboundHookRepository,
+} = require('./inboundHookRepository');
+const { FirestoreDeviceRepository, MemoryDeviceRepository } = require('./deviceRepository');
+const {
+  FirestoreDeadLetterRepository,
+  MemoryDeadLetterRepository,
+} = require('./deadLetterRepository');
+const { FirestoreApiKeyRepository, MemoryApiKeyRepository } = require('./apiKeyRepository');
+const { FirestoreQuotaRepository, MemoryQuotaRepository } = require('./quotaRepository');
+const {
+  FirestoreRateLimitRepository,
+  MemoryRateLimitRepository,
+} = require('./rateLimitRepository');
+const {
+  FirestoreIdempotencyRepository,
+  MemoryIdempotencyRepository,
+} = require('./idempotencyRepository');
+const logger = require('../logger');
+
+/**
+ * Storage Repositories
+ * Business logic talks to these instead of Firestore directly.
+ *
+ * Select a backend with STORAGE_BACKEND:
+ *   firestore  (default) — Cloud Firestore
+ *   memory               — process-local, for offline development and tests
+ */
+
+const BACKENDS = ['firestore', 'memory'];
+
+const backend = (process.env.STORAGE_BACKEND || 'firestore').toLowerCase();
+
+if (!BACKENDS.includes(backend)) {
+  throw new Error(
+    `Unknown STORAGE_BACKEND "${backend}" (expected one of: ${BACKENDS.join(', ')})`
+  );
+}
+
+const repositories =
+  backend === 'memory'
+    ? {
+        events: new MemoryEventRepository(),
+        eventNotifications: new MemoryEventNotificationRepository(),
+        notificationLogs: new MemoryLogRepository('notification_logs'),
+        notificationErrors: new MemoryLogRepository('notification_errors'),
+        scheduledNotifications: new MemoryScheduledNotificationRepository(),
+        notificationStats: new MemoryStatsRepository(),
+        notificationTracking: new MemoryTrackingRepository(),
+        webhooks: new MemoryWebhookRepository(),
+        webhookDeliveries: new MemoryWebhookDeliveryRepository(),
+        inboundHooks: new MemoryInboundHookRepository(),
+        devices: new MemoryDeviceRepository(),
+        deadLetters: new MemoryDeadLetterRepository(),
+        apiKeys: new MemoryApiKeyRepository(),
+        quotaUsage: new MemoryQuotaRepository(),
+        rateLimits: new MemoryRateLimitRepository(),
+        idempotencyKeys: new MemoryIdempotencyRepository(),
+      }
+    : {
+        events: new FirestoreEventRepository(),
+        eventNotifications: new FirestoreEventNotificationRepository(),
+        notificationLogs: new FirestoreLogRepository('notification_logs'),
+        notificationErrors: new FirestoreLogRepository('notification_errors'),
+        scheduledNotifications: new FirestoreScheduledNotificationRepository(),
+        notificationStats: new FirestoreStatsRepository(),
+        notificationTracking: new FirestoreTrackingRepository(),
+        webhooks: new FirestoreWebhookRepository(),
+        webhookDeliveries: new FirestoreWebhookDeliveryRepository(),
+        inboundHooks: new FirestoreInboundHookRepository(),
+        devices: new FirestoreDeviceRepository(),
+        deadLetters: new FirestoreDeadLetterRepository(),
+        apiKeys: new FirestoreApiKeyRepository(),
+        quotaUsage: new FirestoreQuotaRepository(),
+        rateLimits: new FirestoreRateLimitRepository(),
+        idempotencyKeys: new FirestoreIdempotencyRepository(),
+      };
+
+if (backend === 'memory') {
+  logger.warn('Using IN-MEMORY storage — all data is lost on restart');
+}
+
+module.exports = { backend, BACKENDS, ...repositories };
@@ -0,0 +1,104 @@
+const { FieldPath } = require('firebase-admin/firestore');
+const { getFirestore } = require('../firebase');
+const { fromSnapshot, MemoryCollection } = require('./helpers');
+
+/**
+ * Log Repository — append-only records ordered by `sentAt`.
+ * Backs both `notification_logs` and `notification_errors`.
+ *   add(record)     → id
+ *   get(id)         → record or null
+ *   recent(limit)   → newest records first
+ *   query({ filters, from, to, after, limit })
+ *                   → newest records first, matching every field in
+ *                     `filters` exactly, with from <= sentAt <= to, and
+ *                     strictly after the `after` record ({ sentAt, id })
+ */
+
+class FirestoreLogRepository {
+  constructor(collection) {
+    this.collection = collection;
+  }
+
+  get firestore() {
+    return getFirestore();
+  }
+
+  async add(record) {
+    const ref = await this.firestore.collection(this.collection).add(record);
+    return ref.id;
+  }
+
+  async get(id) {
+    return fromSnapshot(await this.firestore.collection(this.collection).doc(id).get());
+  }
+
+  async recent(limit) {
+    const snapshot = await this.firestore
+      .collection(this.collection)
+      .orderBy('sentAt', 'desc')
+      .limit(limit)
+      .get();
+    return snapshot.docs.map(fromSnapshot);
+  }
+
+  // Each combination of equality filters needs a composite index ending in
+  // (sentAt DESC, __name__ DESC); Firestore's error message links to it.
+  async query({ filters = {}, from, to, after, limit }) {
+    let query = this.firestore.collection(this.collection);
+
+    for (const [field, value] of Object.entries(filters)) {
+      if (value !== undefined) query = query.where(field, '==', value);
+    }
+    if (from) query = query.where('sentAt', '>=', from);
+    if (to) query = query.where('sentAt', '<=', to);
+
+    query = query.orderBy('sentAt', 'desc').orderBy(FieldPath.documentId(), 'desc');
+    if (after) query = query.startAfter(after.sentAt, after.id);
+
+    const snapshot = await query.limit(limit).get();
+    return snapshot.docs.map(fromSnapshot);
+  }
+}
+
+class MemoryLogRepository {
+  constructor(collection) {
+    this.collection = collection;
+    this.store = new MemoryCollection(collection);
+  }
+
+  async add(record) {
+    return this.store.add(record);
+  }
+
+  async get(id) {
+    return this.store.get(id);
+  }
+
+  async recent(limit) {
+    return this.store
+      .all()
+      .sort((a, b) => b.sentAt - a.sentAt)
+      .slice(0, limit);
+  }
+
+  async query({ filters = {}, from, to, after, limit }) {
+    return this.store
+      .all()
+      .filter(
+        (r) =>
+          Object.entries(filters).every(([f, v]) => v === undefined || r[f] === v) &&
+          (!from || r.sentAt >= from) &&
+          (!to || r.sentAt <= to) &&
+          (!after || newestFirst(r, after) > 0)
+      )
+      .sort(newestFirst)
+      .slice(0, limit);
+  }
+}
+
+// Same order as the Firestore query: sentAt desc, then id desc
+function newestFirst(a, b) {
+  return b.sentAt - a.sentAt || (a.id < b.id ? 1 : a.id > b.id ? -1 : 0);
+}
+
+module.exports = { FirestoreLogRepository, MemoryLogRepository };
@@ -0,0 +1,60 @@
+const { getFirestore } = require('../firebase');
+const { MemoryCollection } = require('./helpers');
+
+// Configure a Firestore TTL policy on `expiresAt` so old days are removed
+const COLLECTION = 'quota_usage';
+
+/**
+ * Quota Usage Repository — one counter per client, quota kind and UTC day
+ *   read(id)                 → units used (0 if none)
+ *   adjust(id, fn, fields)   → atomically applies fn(used) → new value, or
+ *                              null to leave it unchanged; stores the new
+ *                              value with `fields` (which must include
+ *                              `resetAt`). Resolves to the new value, or
+ *                              null if unchanged.
+ */
+
+class FirestoreQuotaRepository {
+  get firestore() {
+    return getFirestore();
+  }
+
+  async read(id) {
+    const doc = await this.firestore.collection(COLLECTION).doc(id).get();
+    return doc.exists ? doc.data().used : 0;
+  }
+
+  async adjust(id, fn, fields) {
+    const ref = this.firestore.collection(COLLECTION).doc(id);
+
+    return this.firestore.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      const next = fn(doc.exists ? doc.data().used : 0);
+      if (next !== null) {
+        tx.set(ref, { ...fields, used: next, expiresAt: fields.resetAt });
+      }
+      return next;
+    });
+  }
+}
+
+class MemoryQuotaRepository {
+  constructor() {
+    this.store = new MemoryCollection('quota');
+  }
+
+  async read(id) {
+    return this.store.get(id)?.used || 0;
+  }
+
+  // Single-threaded: nothing can interleave between the read and the write
+  async adjust(id, fn, fields) {
+    const next = fn(await this.read(id));
+    if (next !== null) {
+      this.store.set(id, { ...fields, used: next, expiresAt: fields.resetAt });
+    }
+    return next;
+  }
+}
+
+module.exports = { FirestoreQuotaRepository, MemoryQuotaRepository };
@@ -0,0 +1,72 @@
+const { getFirestore } = require('../firebase');
+
+// Configure a Firestore TTL policy on `expiresAt` so old windows are removed
+const COLLECTION = 'rate_limits';
+
+/**
+ * Rate-Limit Counters Repository — one hit counter per key and window
+ *   increment(id, expiresAt)   → hits after adding one
+ *   decrement(id)              → removes one hit, never going below zero
+ *   delete(id)                 → drops the counter
+ */
+
+class FirestoreRateLimitRepository {
+  get firestore() {
+    return getFirestore();
+  }
+
+  async increment(id, expiresAt) {
+    const ref = this.firestore.collection(COLLECTION).doc(id);
+
+    return this.firestore.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      const hits = (doc.exists ? doc.data().hits : 0) + 1;
+      tx.set(ref, { hits, expiresAt });
+      return hits;
+    });
+  }
+
+  async decrement(id) {
+    const ref = this.firestore.collection(COLLECTION).doc(id);
+
+    await this.firestore.runTransaction(async (tx) => {
+      const doc = await tx.get(ref);
+      if (doc.exists && doc.data().hits > 0) {
+        tx.update(ref, { hits: doc.data().hits - 1 });
+      }
+    });
+  }
+
+  async delete(id) {
+    await this.firestore.collection(COLLECTION).doc(id).delete();
+  }
+}
+
+class MemoryRateLimitRepository {
+  constructor() {
+    this.counters = new Map();
+  }
+
+  async increment(id, expiresAt) {
+    // Windows are short-lived; drop finished ones as new ones start
+    const now = new Date();
+    for (const [key, counter] of this.counters) {
+      if (counter.expiresAt <= now) this.counters.delete(key);
+    }
+
+    const hits = (this.counters.get(id)?.hits || 0) + 1;
+    this.counters.set(id, { hits, expiresAt });
+    return hits;
+  }
+
+  async decrement(id) {
+    const counter = this.counters.get(id);
+    if (counter && counter.hits > 0) counter.hits -= 1;
+  }
+
+  async delete(id) {
+    this.counters.delete(id);
+  }
+}
+
+module.exports = { FirestoreRateLimitRepository, MemoryRateLimitRepository };
@@ -0,0 +1,150 @@
+const { getFirestore } = require('../firebase');
+const { fromSnapshot, withoutId, MemoryCollection } = require('./helpers');
+
+const COLLECTION = 'scheduled_notifications';
+
+/**
+ * Scheduled Notifications Repository
+ *   create(record)            → id
+ *   get(id)                   → job | null
+ *   list({ status, limit })   → jobs ordered by sendAt
+ *   due(now, limit)           → pending jobs with sendAt <= now, oldest first
+ *   stalled(before, limit)    → jobs still `sending` that were claimed at or
+ *                               before `before`, oldest claim first
+ *   findByEvent(eventId)      → all jobs for an event
+ *   update(id, fields)        → partial update
+ *   mutate(id, fn)            → atomic read-modify-write:
+ *                               fn(current | null) returns { write, result };
+ *                               `write` (a full record, or null for no change)
+ *                               is stored and `result` is returned.
+ */
+
+class FirestoreScheduledNotificationRepository {
+  get firestore() {
+    return getFirestore();
+  }
+
+  async create(record) {
+    const ref = await this.firestore.collection(COLLECTION).add(record);
+    return ref.id;
+  }
+
+  async get(id) {
+    return fromSnapshot(await this.firestore.collection(COLLECTION).doc(id).get());
+  }
+
+  async list({ status, limit = 50 } = {}) {
+    let query = this.firestore.collection(COLLECTION);
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+
+    const snapshot = await query.orderBy('sendAt', 'asc').limit(limit).get();
+    return snapshot.docs.map(fromSnapshot);
+  }
+
+  async due(now, limit) {
+    // Requires a composite index on (status ASC, sendAt ASC)
+    const snapshot = await this.firestore
+      .collection(COLLECTION)
+      .where('status', '==', 'pending')
+      .where('sendAt', '<=', now)
+      .orderBy('sendAt', 'asc')
+      .limit(limit)
+      .get();
+    return snapshot.docs.map(fromSnapshot);
+  }
+
+  async stalled(before, limit) {
+    // Requires a composite index on (status ASC, claimedAt ASC)
+    const snapshot = await this.firestore
+      .collection(COLLECTION)
+      .where('status', '==', 'sending')
+      .where('claimedAt', '<=', before)
+      .orderBy('claimedAt', 'asc')
+      .limit(limit)
+      .get();
+    return snapshot.docs.map(fromSnapshot);
+  }
+
+  async findByEvent(eventId) {
+    const snapshot = await this.firestore
+      .collection(COLLECTION)
+      .where('eventId', '==', eventId)
+      .get();
+    return snapshot.docs.map(fromSnapshot);
+  }
+
+  async update(id, fields) {
+    await this.firestore.collection(COLLECTION).doc(id).update(fields);
+  }
+
+  async mutate(id, fn) {
+    const ref = this.firestore.collection(COLLECTION).doc(id);
+
+    return this.firestore.runTransaction(async (tx) => {
+      const { write, result } = fn(fromSnapshot(await tx.get(ref)));
+      if (write) tx.set(ref, withoutId(write));
+      return result;
+    });
+  }
+}
+
+class MemoryScheduledNotificationRepository {
+  constructor() {
+    this.store = new MemoryCollection('scheduled');
+  }
+
+  async create(record) {
+    return this.store.add(record);
+  }
+
+  async get(id) {
+    return this.store.get(id);
+  }
+
+  async list({ status, limit = 50 } = {}) {
+    return this.store
+      .all()
+      .filter((job) => !status || job.status === status)
+      .sort((a, b) => a.sendAt - b.sendAt)
+      .slice(0, limit);
+  }
+
+  async due(now, limit) {
+    return (await this.list({ status: 'pending', limit: Infinity }))
+      .filter((job) => job.sendAt <= now)
+      .slice(0, limit);
+  }
+
+  async stalled(before, limit) {
+    return this.store
+      .all()
+      .filter((job) => job.status === 'sending' && job.claimedAt <= before)
+      .sort((a, b) => a.claimedAt - b.claimedAt)
+      .slice(0, limit);
+  }
+
+  async findByEvent(eventId) {
+    return this.store.all().filter((job) => job.eventId === eventId);
+  }
+
+  async update(id, fields) {
+    if (!this.store.has(id)) {
+      throw new Error(`No scheduled notification with id ${id}`);
+    }
+    this.store.merge(id, fields);
+  }
+
+  // Single-threaded: nothing can interleave between the read and the write
+  async mutate(id, fn) {
+    const { write, result } = fn(this.store.get(id));
+    if (write) this.store.set(id, write);
+    return result;
+  }
+}
+
+module.exports = {
+  FirestoreScheduledNotificationRepository,
+  MemoryScheduledNotificationRepository,
+};
@@ -0,0 +1,109 @@
+const { FieldValue } = require('firebase-admin/firestore');
+const { getFirestore } = require('../firebase');
+const { fromSnapshot, MemoryCollection } = require('./helpers');
+
+const COLLECTION = 'notification_stats';
+
+// Every send and engagement report writes to the current hour and day
+// buckets; spreading each bucket over shard documents keeps bursts (a
+// broadcast opened by many devices at once) under Firestore's per-document
+// write rate. Shards are summed on read.
+const BUCKET_SHARDS = 10;
+
+/**
+ * Notification Stats Repository — one set of counters per time bucket
+ *   increment(id, fields, counts)   → adds nested numeric `counts` to the
+ *                                     bucket, creating it with `fields`
+ *   range(granularity, from, to)    → buckets with from <= bucketStart <= to,
+ *                                     oldest first
+ */
+
+class FirestoreStatsRepository {
+  get firestore() {
+    return getFirestore();
+  }
+
+  async increment(id, fields, counts) {
+    const shard = Math.floor(Math.random() * BUCKET_SHARDS);
+    await this.firestore
+      .collection(COLLECTION)
+      .doc(`${id}_${shard}`)
+      .set({ bucketId: id, ...fields, ...toIncrements(counts) }, { merge: true });
+  }
+
+  async range(granularity, from, to) {
+    // Requires a composite index on (granularity ASC, bucketStart ASC)
+    const snapshot = await this.firestore
+      .collection(COLLECTION)
+      .where('granularity', '==', granularity)
+      .where('bucketStart', '>=', from)
+      .where('bucketStart', '<=', to)
+      .orderBy('bucketStart', 'asc')
+      .get();
+
+    // Shards arrive next to each other (same bucketStart); fold them together
+    const buckets = [];
+    for (const shard of snapshot.docs.map(fromSnapshot)) {
+      const last = buckets[buckets.length - 1];
+      if (last && last.bucketStart.getTime() === shard.bucketStart.getTime()) {
+        Object.assign(last, addCounts(last, countsOf(shard)));
+      } else {
+        const { bucketId, ...bucket } = shard;
+        buckets.push({ ...bucket, id: bucketId || shard.id });
+      }
+    }
+    return buckets;
+  }
+}
+
+// The numeric (possibly nested) counters of a stored bucket
+function countsOf(bucket) {
+  const out = {};
+  for (const [key, value] of Object.entries(bucket)) {
+    if (typeof value === 'number' || (value && value.constructor === Object)) {
+      out[key] = value;
+    }
+  }
+  return out;
+}
+
+// Nested counts → the same shape with FieldValue.increment leaves
+function toIncrements(counts) {
+  const out = {};
+  for (const [key, value] of Object.entries(counts)) {
+    out[key] =
+      typeof value === 'number' ? FieldValue.increment(value) : toIncrements(value);
+  }
+  return out;
+}
+
+class MemoryStatsRepository {
+  constructor() {
+    this.store = new MemoryCollection('stats');
+  }
+
+  async increment(id, fields, counts) {
+    const bucket = this.store.get(id) || {};
+    this.store.set(id, { ...bucket, ...fields, ...addCounts(bucket, counts) });
+  }
+
+  async range(granularity, from, to) {
+    return this.store
+      .all()
+      .filter((b) => b.granularity === granularity && b.bucketStart >= from && b.bucketStart <= to)
+      .sort((a, b) => a.bucketStart - b.bucketStart);
+  }
+}
+
+function addCounts(target, counts) {
+  const out = {};
+  for (const [key, value] of Object.entries(counts)) {
+    out[key] =
+      typeof value === 'number'
+        ? (target[key] || 0) + value
+        : { ...target[key], ...addCounts(target[key] || {}, value) };
+  }
+  return out;
+}
+
+module.exports = { FirestoreStatsRepository, MemoryStatsRepository };
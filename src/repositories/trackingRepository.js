@@ -0,0 +1,138 @@
+const { FieldValue } = require('firebase-admin/firestore');
+const { getFirestore } = require('../firebase');
+const { fromSnapshot, MemoryCollection } = require('./helpers');
+
+const COLLECTION = 'notification_tracking';
+
+// A broadcast can be opened by thousands of devices at once, far beyond
+// Firestore's sustained write rate for one document, so counter
+// increments are spread over this many shard documents and summed on read
+const COUNTER_SHARDS = 10;
+
+const COUNTERS = ['recipients', 'received', 'opened', 'dismissed'];
+
+/**
+ * Notification Tracking Repository — one record per sent notification,
+ * keyed by its tracking ID, with engagement counters
+ *   create(id, record)           → store a new record; false if it exists
+ *   get(id)                      → record | null
+ *   increment(id, counter, by)   → adds `by` (default 1) to `counter` of
+ *                                  an existing record
+ *   claimEvent(id, key)          → true the first time `key` (a device and
+ *                                  action) is seen for the record
+ *   list({ type, limit })        → newest first, optionally of one type
+ */
+
+class FirestoreTrackingRepository {
+  get firestore() {
+    return getFirestore();
+  }
+
+  async create(id, record) {
+    try {
+      await this.firestore.collection(COLLECTION).doc(id).create(record);
+      return true;
+    } catch (error) {
+      // ALREADY_EXISTS
+      if (error.code === 6) return false;
+      throw error;
+    }
+  }
+
+  async get(id) {
+    const record = fromSnapshot(await this.firestore.collection(COLLECTION).doc(id).get());
+    return record && this._withShards(record);
+  }
+
+  async increment(id, counter, by = 1) {
+    const shard = String(Math.floor(Math.random() * COUNTER_SHARDS));
+    await this.firestore
+      .collection(COLLECTION)
+      .doc(id)
+      .collection('shards')
+      .doc(shard)
+      .set({ [counter]: FieldValue.increment(by) }, { merge: true });
+  }
+
+  async claimEvent(id, key) {
+    try {
+      await this.firestore
+        .collection(COLLECTION)
+        .doc(id)
+        .collection('events')
+        .doc(key)
+        .create({ at: new Date() });
+      return true;
+    } catch (error) {
+      // ALREADY_EXISTS
+      if (error.code === 6) return false;
+      throw error;
+    }
+  }
+
+  async list({ type, limit = 50 } = {}) {
+    let query = this.firestore.collection(COLLECTION);
+    if (type) {
+      // Requires a composite index on (type ASC, sentAt DESC)
+      query = query.where('type', '==', type);
+    }
+
+    const snapshot = await query.orderBy('sentAt', 'desc').limit(limit).get();
+    return Promise.all(snapshot.docs.map((doc) => this._withShards(fromSnapshot(doc))));
+  }
+
+  // Adds the shard counters onto the record's own (initial) counters
+  async _withShards(record) {
+    const shards = await this.firestore
+      .collection(COLLECTION)
+      .doc(record.id)
+      .collection('shards')
+      .get();
+
+    for (const shard of shards.docs) {
+      for (const counter of COUNTERS) {
+        record[counter] = (record[counter] || 0) + (shard.get(counter) || 0);
+      }
+    }
+    return record;
+  }
+}
+
+class MemoryTrackingRepository {
+  constructor() {
+    this.store = new MemoryCollection('tracking');
+    this.events = new Set();
+  }
+
+  async create(id, record) {
+    if (this.store.has(id)) return false;
+    this.store.set(id, record);
+    return true;
+  }
+
+  async get(id) {
+    return this.store.get(id);
+  }
+
+  async increment(id, counter, by = 1) {
+    const record = this.store.get(id);
+    if (!record) return;
+    this.store.merge(id, { [counter]: (record[counter] || 0) + by });
+  }
+
+  async claimEvent(id, key) {
+    if (this.events.has(`${id}/${key}`)) return false;
+    this.events.add(`${id}/${key}`);
+    return true;
+  }
+
+  async list({ type, limit = 50 } = {}) {
+    return this.store
+      .all()
+      .filter((r) => !type || r.type === type)
+      .sort((a, b) => b.sentAt - a.sentAt)
+      .slice(0, limit);
+  }
+}
+
+module.exports = { FirestoreTrackingRepository, MemoryTrackingRepository };
@@ -0,0 +1,116 @@
+const { getFirestore } = require('../firebase');
+const { fromSnapshot, withoutId, MemoryCollection } = require('./helpers');
+
+const COLLECTION = 'webhook_deliveries';
+
+/**
+ * Webhook Delivery Log Repository
+ *   create(record)                          → id
+ *   get(id)                                 → delivery | null
+ *   listByWebhook(webhookId, { status, limit })
+ *                                           → deliveries, newest first
+ *   due(now, limit)                         → pending deliveries with
+ *                                             nextAttemptAt <= now, oldest first
+ *   update(id, fields)                      → partial update
+ *   mutate(id, fn)                          → atomic read-modify-write, as in
+ *                                             the scheduled notifications repository
+ */
+
+class FirestoreWebhookDeliveryRepository {
+  get firestore() {
+    return getFirestore();
+  }
+
+  async create(record) {
+    const ref = await this.firestore.collection(COLLECTION).add(record);
+    return ref.id;
+  }
+
+  async get(id) {
+    return fromSnapshot(await this.firestore.collection(COLLECTION).doc(id).get());
+  }
+
+  // Requires composite indexes on (webhookId ASC, createdAt DESC) and
+  // (webhookId ASC, status ASC, createdAt DESC)
+  async listByWebhook(webhookId, { status, limit = 50 } = {}) {
+    let query = this.firestore.collection(COLLECTION).where('webhookId', '==', webhookId);
+    if (status) {
+      query = query.where('status', '==', status);
+    }
+
+    const snapshot = await query.orderBy('createdAt', 'desc').limit(limit).get();
+    return snapshot.docs.map(fromSnapshot);
+  }
+
+  async due(now, limit) {
+    // Requires a composite index on (status ASC, nextAttemptAt ASC)
+    const snapshot = await this.firestore
+      .collection(COLLECTION)
+      .where('status', '==', 'pending')
+      .where('nextAttemptAt', '<=', now)
+      .orderBy('nextAttemptAt', 'asc')
+      .limit(limit)
+      .get();
+    return snapshot.docs.map(fromSnapshot);
+  }
+
+  async update(id, fields) {
+    await this.firestore.collection(COLLECTION).doc(id).update(fields);
+  }
+
+  async mutate(id, fn) {
+    const ref = this.firestore.collection(COLLECTION).doc(id);
+
+    return this.firestore.runTransaction(async (tx) => {
+      const { write, result } = fn(fromSnapshot(await tx.get(ref)));
+      if (write) tx.set(ref, withoutId(write));
+      return result;
+    });
+  }
+}
+
+class MemoryWebhookDeliveryRepository {
+  constructor() {
+    this.store = new MemoryCollection('delivery');
+  }
+
+  async create(record) {
+    return this.store.add(record);
+  }
+
+  async get(id) {
+    return this.store.get(id);
+  }
+
+  async listByWebhook(webhookId, { status, limit = 50 } = {}) {
+    return this.store
+      .all()
+      .filter((d) => d.webhookId === webhookId && (!status || d.status === status))
+      .sort((a, b) => b.createdAt - a.createdAt)
+      .slice(0, limit);
+  }
+
+  async due(now, limit) {
+    return this.store
+      .all()
+      .filter((d) => d.status === 'pending' && d.nextAttemptAt && d.nextAttemptAt <= now)
+      .sort((a, b) => a.nextAttemptAt - b.nextAttemptAt)
+      .slice(0, limit);
+  }
+
+  async update(id, fields) {
+    if (!this.store.has(id)) {
+      throw new Error(`No webhook delivery with id ${id}`);
+    }
+    this.store.merge(id, fields);
+  }
+
+  // Single-threaded: nothing can interleave between the read and the write
+  async mutate(id, fn) {
+    const { write, result } = fn(this.store.get(id));
+    if (write) this.store.set(id, write);
+    return result;
+  }
+}
+
+module.exports = { FirestoreWebhookDeliveryRepository, MemoryWebhookDeliveryRepository };
@@ -0,0 +1,79 @@
+const { getFirestore } = require('../firebase');
+const { fromSnapshot, MemoryCollection } = require('./helpers');
+
+const COLLECTION = 'webhooks';
+
+/**
+ * Webhook Subscriptions Repository
+ *   create(record)        → id
+ *   get(id)               → webhook | null
+ *   list()                → all webhooks, newest first
+ *   update(id, fields)    → partial update
+ *   delete(id)            → true if it existed
+ */
+
+class FirestoreWebhookRepository {
+  get firestore() {
+    return getFirestore();
+  }
+
+  async create(record) {
+    const ref = await this.firestore.collection(COLLECTION).add(record);
+    return ref.id;
+  }
+
+  async get(id) {
+    return fromSnapshot(await this.firestore.collection(COLLECTION).doc(id).get());
+  }
+
+  async list() {
+    const snapshot = await this.firestore
+      .collection(COLLECTION)
+      .orderBy('createdAt', 'desc')
+      .get();
+    return snapshot.docs.map(fromSnapshot);
+  }
+
+  async update(id, fields) {
+    await this.firestore.collection(COLLECTION).doc(id).update(fields);
+  }
+
+  async delete(id) {
+    const ref = this.firestore.collection(COLLECTION).doc(id);
+    const existing = await ref.get();
+    if (!existing.exists) return false;
+    await ref.delete();
+    return true;
+  }
+}
+
+class MemoryWebhookRepository {
+  constructor() {
+    this.store = new MemoryCollection('webhook');
+  }
+
+  async create(record) {
+    return this.store.add(record);
+  }
+
+  async get(id) {
+    return this.store.get(id);
+  }
+
+  async list() {
+    return this.store.all().sort((a, b) => b.createdAt - a.createdAt);
+  }
+
+  async update(id, fields) {
+    if (!this.store.has(id)) {
+      throw new Error(`No webhook with id ${id}`);
+    }
+    this.store.merge(id, fields);
+  }
+
+  async delete(id) {
+    return this.store.delete(id);
+  }
+}
+
+module.exports = { FirestoreWebhookRepository, MemoryWebhookRepository };
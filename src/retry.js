@@ -0,0 +1,59 @@
+/**
+ * Retry helpers for FCM calls.
+ * Errors are classified as retryable (transient FCM/network problems) or
+ * permanent (bad token, bad payload, auth). Retryable errors are retried
+ * with exponential backoff and full jitter.
+ */
+
+const MAX_ATTEMPTS = parseInt(process.env.FCM_MAX_ATTEMPTS, 10) || 4;
+const BASE_DELAY_MS = parseInt(process.env.FCM_RETRY_BASE_MS, 10) || 500;
+const MAX_DELAY_MS = 10_000;
+
+// FCM "unavailable", "internal" and quota errors, plus transport failures
+const RETRYABLE_CODES = [
+  'messaging/server-unavailable',
+  'messaging/internal-error',
+  'messaging/unknown-error',
+  'messaging/message-rate-exceeded',
+  'messaging/device-message-rate-exceeded',
+  'messaging/topics-message-rate-exceeded',
+  'app/network-error',
+  'app/network-timeout',
+];
+
+function isRetryable(error) {
+  return Boolean(error && RETRYABLE_CODES.includes(error.code));
+}
+
+// Full jitter: a random delay between 0 and the exponential cap
+function backoffDelay(attempt) {
+  const cap = Math.min(MAX_DELAY_MS, BASE_DELAY_MS * 2 ** (attempt - 1));
+  return Math.floor(Math.random() * cap);
+}
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Calls fn until it succeeds, throws a permanent error, or MAX_ATTEMPTS is reached.
+ * The final error gets `attempts` set to the number of calls made.
+ */
+async function withRetry(fn, { maxAttempts = MAX_ATTEMPTS, onRetry } = {}) {
+  for (let attempt = 1; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (!isRetryable(error) || attempt >= maxAttempts) {
+        error.attempts = attempt;
+        throw error;
+      }
+
+      const delay = backoffDelay(attempt);
+      if (onRetry) onRetry(error, attempt, delay);
+      await sleep(delay);
+    }
+  }
+}
+
+module.exports = { withRetry, isRetryable, backoffDelay, sleep, MAX_ATTEMPTS };
@@ -0,0 +1,115 @@
+const express = require('express');
+const router = express.Router();
+
+const apiKeys = require('../apikeys');
+const { authenticate, requireScope, callerId } = require('../middleware/auth');
+const { sendLimiter, readLimiter } = require('../middleware/rateLimit');
+const {
+  validateApiKeyCreate,
+  validateApiKeyRotate,
+  validateApiKeyLimits,
+} = require('../middleware/validate');
+const logger = require('../logger');
+
+const requireAdmin = requireScope('admin');
+
+// Maps service errors to HTTP status codes
+function errorStatus(error) {
+  if (error.message === 'API key not found') return 404;
+  if (error.message === 'API key already revoked') return 409;
+  return 500;
+}
+
+/* =========================================================
+ * API KEY MANAGEMENT — admin scope required
+ * Send header: x-api-key: YOUR_API_KEY
+ * The plaintext key is returned only by create and rotate.
+ * ======================================================= */
+
+// Issue a new key
+router.post(
+  '/api-keys',
+  authenticate,
+  requireAdmin,
+  sendLimiter,
+  validateApiKeyCreate,
+  async (req, res) => {
+    try {
+      const { name, scopes, expiresAt, limits } = req.body;
+      const created = await apiKeys.create({
+        name,
+        scopes,
+        limits,
+        expiresAt,
+        createdBy: callerId(req),
+      });
+      res.status(201).json({ success: true, ...created });
+    } catch (error) {
+      logger.error('POST /api-keys failed', { error });
+      res.status(500).json({ success: false, error: 'Failed to create API key' });
+    }
+  }
+);
+
+// List keys (never includes secrets or hashes)
+router.get('/api-keys', authenticate, requireAdmin, readLimiter, async (req, res) => {
+  try {
+    const keys = await apiKeys.list();
+    res.json({ success: true, apiKeys: keys });
+  } catch (error) {
+    logger.error('GET /api-keys failed', { error });
+    res.status(500).json({ success: false, error: 'Failed to list API keys' });
+  }
+});
+
+// Replace a key's rate-limit and quota overrides
+router.put(
+  '/api-keys/:id/limits',
+  authenticate,
+  requireAdmin,
+  sendLimiter,
+  validateApiKeyLimits,
+  async (req, res) => {
+    try {
+      const apiKey = await apiKeys.setLimits(req.params.id, req.body.limits);
+      res.json({ success: true, apiKey });
+    } catch (error) {
+      logger.error('PUT /api-keys/:id/limits failed', { error });
+      res.status(errorStatus(error)).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// Revoke a key immediately
+router.delete('/api-keys/:id', authenticate, requireAdmin, sendLimiter, async (req, res) => {
+  try {
+    const apiKey = await apiKeys.revoke(req.params.id);
+    res.json({ success: true, apiKey });
+  } catch (error) {
+    logger.error('DELETE /api-keys/:id failed', { error });
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+// Replace a key with a new secret; the old one lives on for graceSeconds
+router.post(
+  '/api-keys/:id/rotate',
+  authenticate,
+  requireAdmin,
+  sendLimiter,
+  validateApiKeyRotate,
+  async (req, res) => {
+    try {
+      const created = await apiKeys.rotate(req.params.id, {
+        graceSeconds: req.body.graceSeconds,
+        createdBy: callerId(req),
+      });
+      res.status(201).json({ success: true, ...created });
+    } catch (error) {
+      logger.error('/api-keys/rotate failed', { error });
+      res.status(errorStatus(error)).json({ success: false, error: error.message });
+    }
+  }
+);
+
+module.exports = router;
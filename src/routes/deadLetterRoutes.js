@@ -0,0 +1,77 @@
+const express = require('express');
+const router = express.Router();
+
+const notificationService = require('../notificationservice');
+const deadLetters = require('../deadletters');
+const { authenticate, requireScope } = require('../middleware/auth');
+const { sendLimiter, readLimiter } = require('../middleware/rateLimit');
+const logger = require('../logger');
+
+const STATUSES = ['pending', 'replaying', 'replayed'];
+
+const requireReadStats = requireScope('read:stats');
+const requireAdmin = requireScope('admin');
+
+// Maps service errors to HTTP status codes
+function errorStatus(error) {
+  if (error.message === 'Dead letter not found') return 404;
+  if (error.message === 'Dead letter already replayed') return 409;
+  if (error.message === 'Dead letter is already being replayed') return 409;
+  return 500;
+}
+
+/* =========================================================
+ * DEAD-LETTER QUEUE — authentication required
+ * Send header: x-api-key: YOUR_API_KEY
+ * ======================================================= */
+
+// List messages that failed after all retries
+router.get('/dead-letters', authenticate, requireReadStats, readLimiter, async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status !== undefined && !STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${STATUSES.join(', ')}`,
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const entries = await deadLetters.list({ status, limit });
+    res.json({ success: true, deadLetters: entries });
+  } catch (error) {
+    logger.error('GET /dead-letters failed', { error });
+    res.status(500).json({ success: false, error: 'Failed to list dead letters' });
+  }
+});
+
+// Inspect a single dead letter, including the exact FCM payload
+router.get('/dead-letters/:id', authenticate, requireReadStats, readLimiter, async (req, res) => {
+  try {
+    const deadLetter = await deadLetters.get(req.params.id);
+    res.json({ success: true, deadLetter });
+  } catch (error) {
+    logger.error('GET /dead-letters/:id failed', { error });
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+// Send a dead-lettered message again
+router.post(
+  '/dead-letters/:id/replay',
+  authenticate,
+  requireAdmin,
+  sendLimiter,
+  async (req, res) => {
+    try {
+      const result = await notificationService.replayDeadLetter(req.params.id);
+      res.json(result);
+    } catch (error) {
+      logger.error('/dead-letters/replay failed', { error });
+      const status = errorStatus(error);
+      res.status(status === 500 ? 502 : status).json({ success: false, error: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,87 @@
+const express = require('express');
+const router = express.Router();
+
+const { getTransport } = require('../transports');
+const repositories = require('../repositories');
+const { authenticate, requireScope } = require('../middleware/auth');
+const { readLimiter } = require('../middleware/rateLimit');
+
+/* =========================================================
+ * DEVELOPMENT ROUTES — never mounted in production
+ * Only useful with MESSAGING_TRANSPORT=capture and/or STORAGE_BACKEND=memory
+ * ======================================================= */
+
+const adminOnly = [authenticate, requireScope('admin'), readLimiter];
+
+// Rejects requests unless the capture transport is active
+const requireCapture = (req, res, next) => {
+  if (getTransport().name !== 'capture') {
+    return res.status(404).json({
+      success: false,
+      error: 'Outbox is only available with MESSAGING_TRANSPORT=capture',
+    });
+  }
+  next();
+};
+
+// Rejects requests unless the in-memory storage backend is active
+const requireMemoryStore = (req, res, next) => {
+  if (repositories.backend !== 'memory') {
+    return res.status(404).json({
+      success: false,
+      error: 'Event fixtures are only available with STORAGE_BACKEND=memory',
+    });
+  }
+  next();
+};
+
+// List captured messages, newest first
+router.get('/dev/outbox', ...adminOnly, requireCapture, (req, res) => {
+  const limit = Math.min(parseInt(req.query.limit, 10) || 100, 1000);
+  const messages = getTransport().list(limit);
+  res.json({ success: true, count: messages.length, messages });
+});
+
+// Clear the captured messages
+router.delete('/dev/outbox', ...adminOnly, requireCapture, (req, res) => {
+  const cleared = getTransport().clear();
+  res.json({ success: true, cleared });
+});
+
+// Create or replace an event — drives the event listener like a Firestore write
+const eventFixture = [...adminOnly, requireMemoryStore];
+
+router.put('/dev/events/:id', ...eventFixture, async (req, res) => {
+  const { title, dateTime, isActive = true, ...fields } = req.body || {};
+  const date = new Date(dateTime);
+
+  if (typeof title !== 'string' || !title.trim()) {
+    return res.status(400).json({ success: false, error: 'Event title is required' });
+  }
+  if (!dateTime || isNaN(date.getTime())) {
+    return res
+      .status(400)
+      .json({ success: false, error: 'Event dateTime must be an ISO 8601 date' });
+  }
+
+  const event = {
+    ...fields,
+    id: req.params.id,
+    title,
+    dateTime: date,
+    isActive: isActive === true,
+  };
+  await repositories.events.save(event);
+  res.json({ success: true, event });
+});
+
+// Delete an event
+router.delete('/dev/events/:id', ...eventFixture, async (req, res) => {
+  const removed = await repositories.events.remove(req.params.id);
+  if (!removed) {
+    return res.status(404).json({ success: false, error: 'Event not found' });
+  }
+  res.json({ success: true });
+});
+
+module.exports = router;
@@ -0,0 +1,61 @@
+const express = require('express');
+const router = express.Router();
+
+const deviceRegistry = require('../deviceregistry');
+const { authenticate, requireScope } = require('../middleware/auth');
+const { deviceLimiter } = require('../middleware/rateLimit');
+const { validateDeviceRegistration } = require('../middleware/validate');
+const logger = require('../logger');
+
+/* =========================================================
+ * DEVICE TOKEN REGISTRY — authentication required
+ * Send header: x-api-key: YOUR_API_KEY
+ * ======================================================= */
+
+// Register (or refresh) a device token for a user
+router.post(
+  '/devices',
+  authenticate,
+  requireScope('send:device'),
+  deviceLimiter,
+  validateDeviceRegistration,
+  async (req, res) => {
+    try {
+      const { token, userId, platform, appVersion } = req.body;
+      const device = await deviceRegistry.register({ token, userId, platform, appVersion });
+      res.status(device.created ? 201 : 200).json({ success: true, device });
+    } catch (error) {
+      logger.error('POST /devices failed', { error });
+      res.status(500).json({ success: false, error: 'Failed to register device' });
+    }
+  }
+);
+
+// Unregister a device token (e.g. on logout or app uninstall)
+router.delete(
+  '/devices/:token',
+  authenticate,
+  requireScope('send:device'),
+  deviceLimiter,
+  async (req, res) => {
+    try {
+      const { token } = req.params;
+
+      if (!token || token.length > 500) {
+        return res.status(400).json({ success: false, error: 'Invalid token' });
+      }
+
+      const removed = await deviceRegistry.unregister(token);
+      if (!removed) {
+        return res.status(404).json({ success: false, error: 'Device not found' });
+      }
+
+      res.json({ success: true });
+    } catch (error) {
+      logger.error('DELETE /devices failed', { error });
+      res.status(500).json({ success: false, error: 'Failed to unregister device' });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,35 @@
+const express = require('express');
+const router = express.Router();
+
+const health = require('../health');
+const { readLimiter } = require('../middleware/rateLimit');
+const logger = require('../logger');
+
+/* =========================================================
+ * HEALTH CHECKS — public, for hosting platforms and load balancers
+ * Point liveness probes at /health/live and readiness probes (or
+ * load-balancer health checks) at /health/ready.
+ * ======================================================= */
+
+// Kept for existing platform configs — same as /health/live
+router.get('/health', readLimiter, (req, res) => {
+  res.json({ ...health.live(), status: 'healthy' });
+});
+
+// The process is up and serving requests
+router.get('/health/live', (req, res) => {
+  res.json(health.live());
+});
+
+// This instance can send notifications — 503 until it can
+router.get('/health/ready', async (req, res) => {
+  try {
+    const result = await health.ready();
+    res.status(result.status === 'ready' ? 200 : 503).json(result);
+  } catch (error) {
+    logger.error('GET /health/ready failed', { error });
+    res.status(503).json({ status: 'not_ready', error: 'Readiness check failed' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,85 @@
+const express = require('express');
+const router = express.Router();
+
+const history = require('../history');
+const { authenticate, requireScope } = require('../middleware/auth');
+const { readLimiter } = require('../middleware/rateLimit');
+const { validateLogQuery, validateErrorQuery } = require('../middleware/validate');
+const logger = require('../logger');
+
+const requireReadStats = requireScope('read:stats');
+
+// Maps service errors to HTTP status codes
+function errorStatus(error) {
+  if (error.message === 'Log entry not found') return 404;
+  return 500;
+}
+
+/* =========================================================
+ * NOTIFICATION HISTORY — authentication required
+ * Send header: x-api-key: YOUR_API_KEY
+ *
+ * Filters: ?type=&target=&eventId=&userId=&from=&to= (and ?success= for
+ * logs). userId matches sends to that user's devices (POST /send-to-user).
+ * Pages: ?limit= (default 50, max 200); pass back nextCursor as ?cursor=.
+ * ======================================================= */
+
+// Sent notifications, newest first
+router.get(
+  '/logs',
+  authenticate,
+  requireReadStats,
+  readLimiter,
+  validateLogQuery,
+  async (req, res) => {
+    try {
+      const page = await history.list('logs', req.historyQuery);
+      res.json({ success: true, logs: page.entries, nextCursor: page.nextCursor });
+    } catch (error) {
+      logger.error('GET /logs failed', { error });
+      res.status(500).json({ success: false, error: 'Failed to list logs' });
+    }
+  }
+);
+
+// A single log entry, including the exact FCM payload that was sent
+router.get('/logs/:id', authenticate, requireReadStats, readLimiter, async (req, res) => {
+  try {
+    const log = await history.get('logs', req.params.id);
+    res.json({ success: true, log });
+  } catch (error) {
+    logger.error('GET /logs/:id failed', { error });
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+// Failed sends, newest first
+router.get(
+  '/errors',
+  authenticate,
+  requireReadStats,
+  readLimiter,
+  validateErrorQuery,
+  async (req, res) => {
+    try {
+      const page = await history.list('errors', req.historyQuery);
+      res.json({ success: true, errors: page.entries, nextCursor: page.nextCursor });
+    } catch (error) {
+      logger.error('GET /errors failed', { error });
+      res.status(500).json({ success: false, error: 'Failed to list errors' });
+    }
+  }
+);
+
+// A single error entry
+router.get('/errors/:id', authenticate, requireReadStats, readLimiter, async (req, res) => {
+  try {
+    const entry = await history.get('errors', req.params.id);
+    res.json({ success: true, notificationError: entry });
+  } catch (error) {
+    logger.error('GET /errors/:id failed', { error });
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,139 @@
+const express = require('express');
+const router = express.Router();
+
+const inboundHooks = require('../inboundhooks');
+const quotas = require('../quotas');
+const { authenticate, requireScope, callerId } = require('../middleware/auth');
+const {
+  broadcastLimiter,
+  sendLimiter,
+  readLimiter,
+  hookLimiter,
+} = require('../middleware/rateLimit');
+const { consumeTargetQuota } = require('../middleware/quota');
+const { verifyHookSignature, claimHookSignature } = require('../middleware/hookSignature');
+const {
+  validateInboundHookCreate,
+  validateInboundHookUpdate,
+} = require('../middleware/validate');
+const logger = require('../logger');
+
+const requireAdmin = requireScope('admin');
+
+// Maps service errors to HTTP status codes
+function errorStatus(error) {
+  if (error.message === 'Hook not found') return 404;
+  if (error.message === 'Template not found') return 400;
+  if (error.message === 'No devices registered for user') return 404;
+  return 500;
+}
+
+// A hook's sends use the broadcast or device limits of its target...
+const limitHookTarget = (req, res, next) => {
+  const limiter =
+    quotas.targetKind(req.hook.target) === 'broadcast' ? broadcastLimiter : sendLimiter;
+  return limiter(req, res, next);
+};
+
+// ...and the matching daily quota
+const enforceHookQuota = (req, res, next) => consumeTargetQuota(req, res, next, req.hook.target);
+
+/* =========================================================
+ * INBOUND HOOK TRIGGER — public, HMAC-signed
+ * Headers: X-Webhook-Timestamp, X-Webhook-Signature (see inboundhooks.js)
+ * ======================================================= */
+
+router.post(
+  '/hooks/:hookId',
+  hookLimiter,
+  verifyHookSignature,
+  limitHookTarget,
+  enforceHookQuota,
+  claimHookSignature,
+  async (req, res) => {
+    try {
+      const result = await inboundHooks.trigger(req.hook, req.body, { apiKey: req.apiKey });
+      res.json(result);
+    } catch (error) {
+      logger.error('POST /hooks/:hookId failed', { hookId: req.hook.id, error });
+      res.status(errorStatus(error)).json({ success: false, error: error.message });
+    }
+  }
+);
+
+/* =========================================================
+ * INBOUND HOOK DEFINITIONS — admin scope required
+ * Send header: x-api-key: YOUR_API_KEY
+ * The signing secret is returned only by create.
+ * ======================================================= */
+
+// Define a hook
+router.post(
+  '/inbound-hooks',
+  authenticate,
+  requireAdmin,
+  sendLimiter,
+  validateInboundHookCreate,
+  async (req, res) => {
+    try {
+      const created = await inboundHooks.create({ ...req.body, createdBy: callerId(req) });
+      res.status(201).json({ success: true, ...created });
+    } catch (error) {
+      logger.error('POST /inbound-hooks failed', { error });
+      res.status(errorStatus(error)).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// List hooks (never includes secrets)
+router.get('/inbound-hooks', authenticate, requireAdmin, readLimiter, async (req, res) => {
+  try {
+    const hooks = await inboundHooks.list();
+    res.json({ success: true, hooks });
+  } catch (error) {
+    logger.error('GET /inbound-hooks failed', { error });
+    res.status(500).json({ success: false, error: 'Failed to list inbound hooks' });
+  }
+});
+
+// Get a single hook
+router.get('/inbound-hooks/:id', authenticate, requireAdmin, readLimiter, async (req, res) => {
+  try {
+    const hook = await inboundHooks.get(req.params.id);
+    res.json({ success: true, hook });
+  } catch (error) {
+    logger.error('GET /inbound-hooks/:id failed', { error });
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+// Change a hook, or disable it with { active: false }
+router.patch(
+  '/inbound-hooks/:id',
+  authenticate,
+  requireAdmin,
+  sendLimiter,
+  validateInboundHookUpdate,
+  async (req, res) => {
+    try {
+      const hook = await inboundHooks.update(req.params.id, req.body);
+      res.json({ success: true, hook });
+    } catch (error) {
+      logger.error('PATCH /inbound-hooks/:id failed', { error });
+      res.status(errorStatus(error)).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// Remove a hook
+router.delete('/inbound-hooks/:id', authenticate, requireAdmin, sendLimiter, async (req, res) => {
+  try {
+    await inboundHooks.delete(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('DELETE /inbound-hooks/:id failed', { error });
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,36 @@
+const crypto = require('crypto');
+const express = require('express');
+const router = express.Router();
+
+const metrics = require('../metrics');
+const logger = require('../logger');
+
+// Optional bearer token for scrapers; without METRICS_TOKEN the endpoint is open
+function authorized(req) {
+  const expected = process.env.METRICS_TOKEN;
+  if (!expected) return true;
+
+  const provided = (req.headers.authorization || '').replace(/^Bearer /, '');
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/* =========================================================
+ * PROMETHEUS SCRAPE ENDPOINT
+ * ======================================================= */
+router.get('/metrics', async (req, res) => {
+  if (!authorized(req)) {
+    return res.status(401).json({ success: false, error: 'Invalid metrics token' });
+  }
+
+  try {
+    res.set('Content-Type', metrics.register.contentType);
+    res.send(await metrics.register.metrics());
+  } catch (error) {
+    logger.error('/metrics failed', { error });
+    res.status(500).json({ success: false, error: 'Failed to collect metrics' });
+  }
+});
+
+module.exports = router;
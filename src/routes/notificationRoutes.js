@@ -1,32 +1,52 @@
 const express = require('express');
 const router = express.Router();
-const rateLimit = require('express-rate-limit');
 
 const notificationService = require('../notificationservice');
-const { authenticate } = require('../middleware/auth');
-const { validateNotification, validateDeviceNotification } = require('../middleware/validate');
+const deviceRegistry = require('../deviceregistry');
+const templates = require('../templateservice');
+const quotas = require('../quotas');
+const { authenticate, requireScope, callerId } = require('../middleware/auth');
+const {
+  broadcastLimiter,
+  sendLimiter,
+  readLimiter,
+  WINDOW_MINUTES,
+} = require('../middleware/rateLimit');
+const { enforceQuota } = require('../middleware/quota');
+const { idempotency } = require('../middleware/idempotency');
+const {
+  validateNotification,
+  validateDeviceNotification,
+  validateDeviceTokens,
+  validateTopic,
+  validateSegment,
+  validateTemplateSend,
+  validateDryRun,
+  validateStatsQuery,
+} = require('../middleware/validate');
+const logger = require('../logger');
 
-/* =========================================================
- * RATE LIMITERS
- * ======================================================= */
+const requireReadStats = requireScope('read:stats');
 
-// Strict limit for sending notifications (prevents spam/abuse)
-const sendLimiter = rateLimit({
-  windowMs: 15 * 60 * 1000, // 15 minutes
-  max: 50,                   // max 50 requests per 15 min per IP
-  standardHeaders: true,
-  legacyHeaders: false,
-  message: { success: false, error: 'Too many requests. Please try again later.' },
-});
+// Looks up the devices of :userId so the send can be charged per device
+const resolveUserDevices = async (req, res, next) => {
+  const { userId } = req.params;
+  if (!userId || userId.length > 128) {
+    return res.status(400).json({ success: false, error: 'Invalid userId' });
+  }
 
-// Relaxed limit for read-only endpoints
-const readLimiter = rateLimit({
-  windowMs: 5 * 60 * 1000,  // 5 minutes
-  max: 100,
-  standardHeaders: true,
-  legacyHeaders: false,
-  message: { success: false, error: 'Too many requests. Please try again later.' },
-});
+  try {
+    req.userTokens = await deviceRegistry.getUserTokens(userId);
+  } catch (error) {
+    logger.error('Failed to look up user devices', { error });
+    return res.status(500).json({ success: false, error: 'Failed to send notification to user' });
+  }
+
+  if (req.userTokens.length === 0) {
+    return res.status(404).json({ success: false, error: 'No devices registered for user' });
+  }
+  next();
+};
 
 /* =========================================================
  * PUBLIC ROUTES — no authentication required
@@ -41,101 +61,318 @@ router.get('/', (req, res) => {
   });
 });
 
-// Health check — used by hosting platforms to verify server is alive
-router.get('/health', readLimiter, (req, res) => {
-  res.json({
-    status: 'healthy',
-    timestamp: new Date().toISOString(),
-    uptime: Math.floor(process.uptime()),
-  });
-});
-
 /* =========================================================
  * PROTECTED ROUTES — authentication required on all below
  * Send header: x-api-key: YOUR_API_KEY
  * ======================================================= */
 
 // Send a test notification to all users
-router.post('/send-test', authenticate, sendLimiter, async (req, res) => {
-  try {
-    const title = req.body?.title || 'Test Notification';
-    const body = req.body?.body || 'This is a test from your notification server.';
+router.post(
+  '/send-test',
+  authenticate,
+  requireScope('send:broadcast'),
+  broadcastLimiter,
+  validateDryRun,
+  idempotency,
+  enforceQuota('broadcast'),
+  async (req, res) => {
+    try {
+      const title = req.body?.title || 'Test Notification';
+      const body = req.body?.body || 'This is a test from your notification server.';
 
-    const result = await notificationService.sendToAll(title, body, {
-      type: 'test',
-      source: 'api',
-    });
+      const result = await notificationService.sendToAll(
+        title,
+        body,
+        { type: 'test', source: 'api' },
+        { dryRun: req.dryRun, apiKey: req.apiKey, user: req.user }
+      );
 
-    res.json(result);
-  } catch (error) {
-    console.error('❌ /send-test error:', error.message);
-    res.status(500).json({ success: false, error: 'Failed to send test notification' });
+      res.json(result);
+    } catch (error) {
+      logger.error('/send-test failed', { error });
+      res.status(500).json({ success: false, error: 'Failed to send test notification' });
+    }
   }
-});
+);
 
 // Send notification to ALL users (topic broadcast)
 router.post(
   '/send-to-all',
   authenticate,
-  sendLimiter,
+  requireScope('send:broadcast'),
+  broadcastLimiter,
   validateNotification,
+  validateDryRun,
+  idempotency,
+  enforceQuota('broadcast'),
   async (req, res) => {
     try {
       const { title, body, data = {} } = req.body;
-      const result = await notificationService.sendToAll(title, body, data);
+      const result = await notificationService.sendToAll(title, body, data, {
+        dryRun: req.dryRun,
+        apiKey: req.apiKey,
+        user: req.user,
+      });
       res.json(result);
     } catch (error) {
-      console.error('❌ /send-to-all error:', error.message);
+      logger.error('/send-to-all failed', { error });
       res.status(500).json({ success: false, error: 'Failed to send notification' });
     }
   }
 );
 
+// Send notification to everyone subscribed to a topic
+router.post(
+  '/send-to-topic/:topic',
+  authenticate,
+  requireScope('send:broadcast'),
+  broadcastLimiter,
+  validateTopic,
+  validateNotification,
+  validateDryRun,
+  idempotency,
+  enforceQuota('broadcast'),
+  async (req, res) => {
+    try {
+      const { topic } = req.params;
+      const { title, body, data = {} } = req.body;
+      const result = await notificationService.sendToTopic(topic, title, body, data, {
+        dryRun: req.dryRun,
+        apiKey: req.apiKey,
+        user: req.user,
+      });
+      res.json(result);
+    } catch (error) {
+      logger.error('/send-to-topic failed', { error });
+      res.status(500).json({ success: false, error: 'Failed to send notification to topic' });
+    }
+  }
+);
+
+// Send notification to an audience segment (AND/OR/NOT of topics)
+router.post(
+  '/send-to-segment',
+  authenticate,
+  requireScope('send:broadcast'),
+  broadcastLimiter,
+  validateSegment,
+  validateNotification,
+  validateDryRun,
+  idempotency,
+  enforceQuota('broadcast'),
+  async (req, res) => {
+    try {
+      const { condition } = req.segment;
+      const { title, body, data = {} } = req.body;
+      const result = await notificationService.sendToCondition(condition, title, body, data, {
+        dryRun: req.dryRun,
+        apiKey: req.apiKey,
+        user: req.user,
+      });
+      res.json({ ...result, condition });
+    } catch (error) {
+      logger.error('/send-to-segment failed', { error });
+      res.status(500).json({ success: false, error: 'Failed to send notification to segment' });
+    }
+  }
+);
+
 // Send notification to a SPECIFIC device by FCM token
 router.post(
   '/send-to-device',
   authenticate,
+  requireScope('send:device'),
   sendLimiter,
   validateNotification,
   validateDeviceNotification,
+  validateDryRun,
+  idempotency,
+  enforceQuota('device'),
   async (req, res) => {
     try {
       const { token, title, body, data = {} } = req.body;
-      const result = await notificationService.sendToDevice(token, title, body, data);
+      const result = await notificationService.sendToDevice(token, title, body, data, {
+        dryRun: req.dryRun,
+        apiKey: req.apiKey,
+        user: req.user,
+      });
       res.json(result);
     } catch (error) {
-      console.error('❌ /send-to-device error:', error.message);
+      logger.error('/send-to-device failed', { error });
       res.status(500).json({ success: false, error: 'Failed to send notification to device' });
     }
   }
 );
 
+// Send notification to a list of device tokens (multicast, per-token results)
+router.post(
+  '/send-to-devices',
+  authenticate,
+  requireScope('send:device'),
+  sendLimiter,
+  validateNotification,
+  validateDeviceTokens,
+  validateDryRun,
+  idempotency,
+  enforceQuota('device', (req) => new Set(req.body.tokens).size),
+  async (req, res) => {
+    try {
+      const { tokens, title, body, data = {} } = req.body;
+      const result = await notificationService.sendToDevices(tokens, title, body, data, {
+        dryRun: req.dryRun,
+        apiKey: req.apiKey,
+        user: req.user,
+      });
+      res.status(result.success || result.dryRun ? 200 : 502).json(result);
+    } catch (error) {
+      logger.error('/send-to-devices failed', { error });
+      res.status(500).json({ success: false, error: 'Failed to send notification to devices' });
+    }
+  }
+);
+
+// Send notification to every registered device of a user
+router.post(
+  '/send-to-user/:userId',
+  authenticate,
+  requireScope('send:device'),
+  sendLimiter,
+  validateNotification,
+  validateDryRun,
+  idempotency,
+  resolveUserDevices,
+  enforceQuota('device', (req) => req.userTokens.length),
+  async (req, res) => {
+    try {
+      const { userId } = req.params;
+      const { title, body, data = {} } = req.body;
+      const result = await notificationService.sendToUser(userId, title, body, data, {
+        dryRun: req.dryRun,
+        apiKey: req.apiKey,
+        user: req.user,
+        tokens: req.userTokens,
+      });
+      res.status(result.success || result.dryRun ? 200 : 502).json(result);
+    } catch (error) {
+      logger.error('/send-to-user failed', { error });
+      res.status(500).json({ success: false, error: 'Failed to send notification to user' });
+    }
+  }
+);
+
+// Send a named template to all users, localized per locale topic
+router.post(
+  '/send-template/:name',
+  authenticate,
+  requireScope('send:broadcast'),
+  broadcastLimiter,
+  validateTemplateSend,
+  validateDryRun,
+  idempotency,
+  enforceQuota('broadcast'),
+  async (req, res) => {
+    try {
+      const { vars = {}, data = {} } = req.body || {};
+      const result = await notificationService.sendLocalizedToAll(
+        req.params.name,
+        vars,
+        { type: req.params.name, ...data },
+        { dryRun: req.dryRun, apiKey: req.apiKey, user: req.user }
+      );
+      res.json(result);
+    } catch (error) {
+      logger.error('/send-template failed', { error });
+      const status = error.message === 'Template not found' ? 404 : 500;
+      res.status(status).json({ success: false, error: error.message });
+    }
+  }
+);
+
 // Manually trigger notification for a specific event by ID
-router.post('/send-event/:eventId', authenticate, sendLimiter, async (req, res) => {
-  try {
-    const { eventId } = req.params;
+router.post(
+  '/send-event/:eventId',
+  authenticate,
+  requireScope('send:broadcast'),
+  broadcastLimiter,
+  validateDryRun,
+  idempotency,
+  enforceQuota('broadcast'),
+  async (req, res) => {
+    try {
+      const { eventId } = req.params;
+
+      if (!eventId || typeof eventId !== 'string' || eventId.length > 128) {
+        return res.status(400).json({ success: false, error: 'Invalid eventId' });
+      }
 
-    if (!eventId || typeof eventId !== 'string' || eventId.length > 128) {
-      return res.status(400).json({ success: false, error: 'Invalid eventId' });
+      const result = await notificationService.sendEventNotification(eventId, {
+        dryRun: req.dryRun,
+        apiKey: req.apiKey,
+        user: req.user,
+      });
+      res.json(result);
+    } catch (error) {
+      logger.error('/send-event failed', { error });
+      const status = error.message === 'Event not found' ? 404 : 500;
+      res.status(status).json({ success: false, error: error.message });
     }
+  }
+);
 
-    const result = await notificationService.sendEventNotification(eventId);
-    res.json(result);
+// List available notification templates and their locales
+router.get('/templates', authenticate, requireReadStats, readLimiter, async (req, res) => {
+  try {
+    const list = await templates.list();
+    res.json({
+      success: true,
+      locales: templates.locales,
+      defaultLocale: templates.defaultLocale,
+      templates: list,
+    });
   } catch (error) {
-    console.error('❌ /send-event error:', error.message);
-    const status = error.message === 'Event not found' ? 404 : 500;
-    res.status(status).json({ success: false, error: error.message });
+    logger.error('/templates failed', { error });
+    res.status(500).json({ success: false, error: 'Failed to list templates' });
   }
 });
 
-// Get notification statistics
-router.get('/stats', authenticate, readLimiter, async (req, res) => {
+// Get notification statistics — ?from=&to= (ISO 8601), ?groupBy=hour|day|month
+router.get(
+  '/stats',
+  authenticate,
+  requireReadStats,
+  readLimiter,
+  validateStatsQuery,
+  async (req, res) => {
+    try {
+      const stats = await notificationService.getStats(req.statsQuery);
+      res.json({ success: true, stats });
+    } catch (error) {
+      logger.error('/stats failed', { error });
+      res.status(500).json({ success: false, error: 'Failed to retrieve stats' });
+    }
+  }
+);
+
+// Remaining daily send budget and configured rate limits for the caller
+router.get('/quota', authenticate, readLimiter, async (req, res) => {
   try {
-    const stats = await notificationService.getStats();
-    res.json({ success: true, stats });
+    const clientId = callerId(req);
+    const limits = quotas.limitsFor(req.user || req.apiKey);
+    const daily = await quotas.usage(clientId, limits);
+
+    res.json({
+      success: true,
+      client: clientId,
+      rateLimits: {
+        broadcast: { limit: limits.broadcastRate, windowMinutes: WINDOW_MINUTES.broadcast },
+        send: { limit: limits.sendRate, windowMinutes: WINDOW_MINUTES.send },
+        read: { limit: limits.readRate, windowMinutes: WINDOW_MINUTES.read },
+      },
+      daily,
+    });
   } catch (error) {
-    console.error('❌ /stats error:', error.message);
-    res.status(500).json({ success: false, error: 'Failed to retrieve stats' });
+    logger.error('/quota failed', { error });
+    res.status(500).json({ success: false, error: 'Failed to retrieve quota' });
   }
 });
 
@@ -0,0 +1,177 @@
+const express = require('express');
+const router = express.Router();
+
+const scheduler = require('../scheduler');
+const {
+  authenticate,
+  requireScope,
+  requireTargetScope,
+  callerId,
+  hasScope,
+  targetScope,
+} = require('../middleware/auth');
+const { sendLimiter, readLimiter } = require('../middleware/rateLimit');
+const { idempotency } = require('../middleware/idempotency');
+const { enforceTargetQuota, consumeTargetQuota } = require('../middleware/quota');
+const {
+  validateScheduledNotification,
+  validateScheduledUpdate,
+} = require('../middleware/validate');
+const logger = require('../logger');
+
+const requireReadStats = requireScope('read:stats');
+
+// Editing or cancelling a job needs permission to send something
+const requireSendScope = requireScope('send:broadcast', 'send:device');
+
+const STATUSES = ['pending', 'sending', 'sent', 'failed', 'skipped', 'cancelled'];
+
+// Maps service errors to HTTP status codes
+function errorStatus(error) {
+  if (error.message === 'Scheduled notification not found') return 404;
+  if (error.message === 'Scheduled notification is no longer pending') return 409;
+  if (error.message === 'Event reminders cannot be edited') return 409;
+  return 500;
+}
+
+// A new target is charged like scheduling it afresh; the job's previous
+// charge is refunded once the update succeeds (see scheduler.update)
+const enforceRetargetQuota = (req, res, next) =>
+  req.body.target ? consumeTargetQuota(req, res, next, req.body.target) : next();
+
+// Editing or cancelling a job is limited to whoever scheduled it (or an
+// admin), and needs the same scope its stored target needed at creation.
+// Must run after authenticate.
+const requireJobAccess = async (req, res, next) => {
+  let job;
+  try {
+    job = await scheduler.get(req.params.id);
+  } catch (error) {
+    logger.error('Failed to load scheduled notification', { scheduledId: req.params.id, error });
+    return res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+
+  if (!hasScope(req, 'admin') && scheduler.ownerOf(job) !== callerId(req)) {
+    logger.warn('Caller does not own scheduled notification', {
+      caller: callerId(req),
+      scheduledId: job.id,
+    });
+    return res.status(403).json({
+      success: false,
+      error: 'Only the creator or an admin can change this scheduled notification',
+    });
+  }
+
+  // Event reminders have no target and are only reachable by admins here
+  if (!job.target) return next();
+  return requireScope(targetScope(job.target))(req, res, next);
+};
+
+/* =========================================================
+ * SCHEDULED NOTIFICATIONS — authentication required
+ * Send header: x-api-key: YOUR_API_KEY
+ * ======================================================= */
+
+// Create a notification to be sent at a future time
+router.post(
+  '/scheduled',
+  authenticate,
+  sendLimiter,
+  validateScheduledNotification,
+  requireTargetScope,
+  idempotency,
+  enforceTargetQuota,
+  async (req, res) => {
+    try {
+      const { target, title, body, data, sendAt } = req.body;
+      const scheduled = await scheduler.create({
+        target,
+        title,
+        body,
+        data,
+        sendAt,
+        apiKey: req.apiKey,
+        user: req.user,
+        createdBy: callerId(req),
+        quotaCharge: req.quotaCharge || null,
+      });
+      res.status(201).json({ success: true, scheduled });
+    } catch (error) {
+      logger.error('POST /scheduled failed', { error });
+      res.status(500).json({ success: false, error: 'Failed to schedule notification' });
+    }
+  }
+);
+
+// List scheduled notifications, optionally filtered by ?status=
+router.get('/scheduled', authenticate, requireReadStats, readLimiter, async (req, res) => {
+  try {
+    const { status } = req.query;
+    if (status !== undefined && !STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        error: `status must be one of: ${STATUSES.join(', ')}`,
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const scheduled = await scheduler.list({ status, limit });
+    res.json({ success: true, scheduled });
+  } catch (error) {
+    logger.error('GET /scheduled failed', { error });
+    res.status(500).json({ success: false, error: 'Failed to list scheduled notifications' });
+  }
+});
+
+// Get a single scheduled notification
+router.get('/scheduled/:id', authenticate, requireReadStats, readLimiter, async (req, res) => {
+  try {
+    const scheduled = await scheduler.get(req.params.id);
+    res.json({ success: true, scheduled });
+  } catch (error) {
+    logger.error('GET /scheduled/:id failed', { error });
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+// Edit or reschedule a pending notification
+router.patch(
+  '/scheduled/:id',
+  authenticate,
+  requireSendScope,
+  sendLimiter,
+  validateScheduledUpdate,
+  requireJobAccess,
+  requireTargetScope,
+  enforceRetargetQuota,
+  async (req, res) => {
+    try {
+      const updates = { ...req.body, ...(req.quotaCharge && { quotaCharge: req.quotaCharge }) };
+      const scheduled = await scheduler.update(req.params.id, updates);
+      res.json({ success: true, scheduled });
+    } catch (error) {
+      logger.error('PATCH /scheduled/:id failed', { error });
+      res.status(errorStatus(error)).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// Cancel a pending notification; its quota charge is refunded
+router.delete(
+  '/scheduled/:id',
+  authenticate,
+  requireSendScope,
+  sendLimiter,
+  requireJobAccess,
+  async (req, res) => {
+    try {
+      const scheduled = await scheduler.cancel(req.params.id);
+      res.json({ success: true, scheduled });
+    } catch (error) {
+      logger.error('DELETE /scheduled/:id failed', { error });
+      res.status(errorStatus(error)).json({ success: false, error: error.message });
+    }
+  }
+);
+
+module.exports = router;
@@ -0,0 +1,59 @@
+const express = require('express');
+const router = express.Router();
+
+const notificationService = require('../notificationservice');
+const { authenticate, requireScope } = require('../middleware/auth');
+const { deviceLimiter } = require('../middleware/rateLimit');
+const { validateTopic, validateDeviceTokens } = require('../middleware/validate');
+const logger = require('../logger');
+
+/* =========================================================
+ * TOPIC SUBSCRIPTIONS — authentication required
+ * Send header: x-api-key: YOUR_API_KEY
+ * ======================================================= */
+
+// Subscribe a list of device tokens to a topic
+router.post(
+  '/topics/:topic/subscribe',
+  authenticate,
+  requireScope('send:device'),
+  deviceLimiter,
+  validateTopic,
+  validateDeviceTokens,
+  async (req, res) => {
+    try {
+      const result = await notificationService.subscribeToTopic(
+        req.body.tokens,
+        req.params.topic
+      );
+      res.json(result);
+    } catch (error) {
+      logger.error('/topics/subscribe failed', { error });
+      res.status(500).json({ success: false, error: 'Failed to subscribe to topic' });
+    }
+  }
+);
+
+// Unsubscribe a list of device tokens from a topic
+router.post(
+  '/topics/:topic/unsubscribe',
+  authenticate,
+  requireScope('send:device'),
+  deviceLimiter,
+  validateTopic,
+  validateDeviceTokens,
+  async (req, res) => {
+    try {
+      const result = await notificationService.unsubscribeFromTopic(
+        req.body.tokens,
+        req.params.topic
+      );
+      res.json(result);
+    } catch (error) {
+      logger.error('/topics/unsubscribe failed', { error });
+      res.status(500).json({ success: false, error: 'Failed to unsubscribe from topic' });
+    }
+  }
+);
+
+module.exports = router;
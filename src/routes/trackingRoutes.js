@@ -0,0 +1,86 @@
+const express = require('express');
+const router = express.Router();
+
+const tracking = require('../tracking');
+const { authenticate, requireScope } = require('../middleware/auth');
+const { readLimiter, trackLimiter } = require('../middleware/rateLimit');
+const { validateTrackingEvent } = require('../middleware/validate');
+const logger = require('../logger');
+
+const requireReadStats = requireScope('read:stats');
+
+// Maps service errors to HTTP status codes
+function errorStatus(error) {
+  if (error.message === 'Invalid tracking token') return 403;
+  if (error.message === 'Notification not found') return 404;
+  return 500;
+}
+
+/* =========================================================
+ * ENGAGEMENT TRACKING — public, called by the app
+ * Body: { trackingId, token, action, deviceId } where trackingId and token
+ * are the trackingId / trackingToken from the notification's data payload,
+ * action is receive, open or dismiss, and deviceId identifies the install
+ * so repeated reports are only counted once.
+ * ======================================================= */
+
+router.post('/track', trackLimiter, validateTrackingEvent, async (req, res) => {
+  try {
+    await tracking.track(req.body);
+    res.json({ success: true });
+  } catch (error) {
+    const status = errorStatus(error);
+    if (status === 500) logger.error('/track failed', { error });
+    res.status(status).json({
+      success: false,
+      error: status === 500 ? 'Failed to record event' : error.message,
+    });
+  }
+});
+
+/* =========================================================
+ * PER-NOTIFICATION ENGAGEMENT — authentication required
+ * Send header: x-api-key: YOUR_API_KEY
+ * ======================================================= */
+
+// Recently sent notifications with delivery/open rates, optionally of one type
+router.get(
+  '/stats/notifications',
+  authenticate,
+  requireReadStats,
+  readLimiter,
+  async (req, res) => {
+    try {
+      const { type } = req.query;
+      if (type !== undefined && (typeof type !== 'string' || type.length > 128)) {
+        return res.status(400).json({ success: false, error: 'Invalid type' });
+      }
+
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+      const notifications = await tracking.list({ type, limit });
+      res.json({ success: true, notifications });
+    } catch (error) {
+      logger.error('GET /stats/notifications failed', { error });
+      res.status(500).json({ success: false, error: 'Failed to list notifications' });
+    }
+  }
+);
+
+// Engagement for a single notification, by the trackingId in its payload
+router.get(
+  '/stats/notifications/:trackingId',
+  authenticate,
+  requireReadStats,
+  readLimiter,
+  async (req, res) => {
+    try {
+      const notification = await tracking.get(req.params.trackingId);
+      res.json({ success: true, notification });
+    } catch (error) {
+      logger.error('GET /stats/notifications/:trackingId failed', { error });
+      res.status(errorStatus(error)).json({ success: false, error: error.message });
+    }
+  }
+);
+
+module.exports = router;
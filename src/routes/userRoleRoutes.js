@@ -0,0 +1,64 @@
+const express = require('express');
+const router = express.Router();
+
+const userRoles = require('../userroles');
+const { authenticate, requireScope, callerId } = require('../middleware/auth');
+const { sendLimiter, readLimiter } = require('../middleware/rateLimit');
+const { validateRoleGrant } = require('../middleware/validate');
+const logger = require('../logger');
+
+const requireAdmin = requireScope('admin');
+
+// Maps service errors to HTTP status codes
+function errorStatus(error) {
+  if (error.message === 'User not found') return 404;
+  if (error.message === 'User has no role') return 409;
+  return 500;
+}
+
+/* =========================================================
+ * STAFF ROLES — admin scope required
+ * Grants the `role` custom claim used by ID-token authentication.
+ * ======================================================= */
+
+// Show a user's current role
+router.get('/users/:uid/role', authenticate, requireAdmin, readLimiter, async (req, res) => {
+  try {
+    const user = await userRoles.get(req.params.uid);
+    res.json({ success: true, user });
+  } catch (error) {
+    logger.error('GET /users/:uid/role failed', { error });
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+// Grant (or change) a user's role
+router.put(
+  '/users/:uid/role',
+  authenticate,
+  requireAdmin,
+  sendLimiter,
+  validateRoleGrant,
+  async (req, res) => {
+    try {
+      const user = await userRoles.grant(req.params.uid, req.body.role, callerId(req));
+      res.json({ success: true, user });
+    } catch (error) {
+      logger.error('PUT /users/:uid/role failed', { error });
+      res.status(errorStatus(error)).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// Revoke a user's role and sign them out everywhere
+router.delete('/users/:uid/role', authenticate, requireAdmin, sendLimiter, async (req, res) => {
+  try {
+    const user = await userRoles.revoke(req.params.uid, callerId(req));
+    res.json({ success: true, user });
+  } catch (error) {
+    logger.error('DELETE /users/:uid/role failed', { error });
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,121 @@
+const express = require('express');
+const router = express.Router();
+
+const webhooks = require('../webhooks');
+const { authenticate, requireScope, callerId } = require('../middleware/auth');
+const { sendLimiter, readLimiter } = require('../middleware/rateLimit');
+const { validateWebhookCreate, validateWebhookUpdate } = require('../middleware/validate');
+const logger = require('../logger');
+
+const requireAdmin = requireScope('admin');
+
+const DELIVERY_STATUSES = ['pending', 'delivered', 'failed', 'cancelled'];
+
+// Maps service errors to HTTP status codes
+function errorStatus(error) {
+  if (error.message === 'Webhook not found') return 404;
+  return 500;
+}
+
+/* =========================================================
+ * WEBHOOK SUBSCRIPTIONS — admin scope required
+ * Send header: x-api-key: YOUR_API_KEY
+ * The signing secret is returned only by create.
+ * ======================================================= */
+
+// Subscribe a URL to one or more events
+router.post(
+  '/webhooks',
+  authenticate,
+  requireAdmin,
+  sendLimiter,
+  validateWebhookCreate,
+  async (req, res) => {
+    try {
+      const created = await webhooks.create({ ...req.body, createdBy: callerId(req) });
+      res.status(201).json({ success: true, ...created });
+    } catch (error) {
+      logger.error('POST /webhooks failed', { error });
+      res.status(500).json({ success: false, error: 'Failed to create webhook' });
+    }
+  }
+);
+
+// List subscriptions (never includes secrets)
+router.get('/webhooks', authenticate, requireAdmin, readLimiter, async (req, res) => {
+  try {
+    const list = await webhooks.list();
+    res.json({ success: true, webhooks: list });
+  } catch (error) {
+    logger.error('GET /webhooks failed', { error });
+    res.status(500).json({ success: false, error: 'Failed to list webhooks' });
+  }
+});
+
+// Get a single subscription
+router.get('/webhooks/:id', authenticate, requireAdmin, readLimiter, async (req, res) => {
+  try {
+    const webhook = await webhooks.get(req.params.id);
+    res.json({ success: true, webhook });
+  } catch (error) {
+    logger.error('GET /webhooks/:id failed', { error });
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+// Change the URL, events or description, or pause with { active: false }
+router.patch(
+  '/webhooks/:id',
+  authenticate,
+  requireAdmin,
+  sendLimiter,
+  validateWebhookUpdate,
+  async (req, res) => {
+    try {
+      const webhook = await webhooks.update(req.params.id, req.body);
+      res.json({ success: true, webhook });
+    } catch (error) {
+      logger.error('PATCH /webhooks/:id failed', { error });
+      res.status(errorStatus(error)).json({ success: false, error: error.message });
+    }
+  }
+);
+
+// Remove a subscription
+router.delete('/webhooks/:id', authenticate, requireAdmin, sendLimiter, async (req, res) => {
+  try {
+    await webhooks.delete(req.params.id);
+    res.json({ success: true });
+  } catch (error) {
+    logger.error('DELETE /webhooks/:id failed', { error });
+    res.status(errorStatus(error)).json({ success: false, error: error.message });
+  }
+});
+
+// Delivery log, newest first, optionally filtered by ?status=
+router.get(
+  '/webhooks/:id/deliveries',
+  authenticate,
+  requireAdmin,
+  readLimiter,
+  async (req, res) => {
+    try {
+      const { status } = req.query;
+      if (status !== undefined && !DELIVERY_STATUSES.includes(status)) {
+        return res.status(400).json({
+          success: false,
+          error: `status must be one of: ${DELIVERY_STATUSES.join(', ')}`,
+        });
+      }
+
+      const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+      const deliveries = await webhooks.deliveries(req.params.id, { status, limit });
+      res.json({ success: true, deliveries });
+    } catch (error) {
+      logger.error('GET /webhooks/:id/deliveries failed', { error });
+      res.status(errorStatus(error)).json({ success: false, error: error.message });
+    }
+  }
+);
+
+module.exports = router;
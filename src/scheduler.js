@@ -0,0 +1,273 @@
+const cron = require('node-cron');
+const notificationService = require('./notificationservice');
+const eventReminders = require('./eventreminders');
+const quotas = require('./quotas');
+const { scheduledNotifications } = require('./repositories');
+const logger = require('./logger');
+
+// How many due jobs a single dispatcher run will pick up
+const DISPATCH_BATCH_SIZE = 50;
+
+// A claimed job becomes due again after this long, so one that was being
+// sent when an instance died is retried instead of stuck in `sending`.
+// Longer than the slowest send (a large multicast with every retry).
+const LEASE_MS = 10 * 60 * 1000;
+
+// Timestamp fields converted to ISO strings in API responses
+const DATE_FIELDS = [
+  'sendAt',
+  'createdAt',
+  'updatedAt',
+  'cancelledAt',
+  'claimedAt',
+  'sentAt',
+  'failedAt',
+  'skippedAt',
+];
+
+class ScheduledNotificationService {
+  constructor() {
+    this.isDispatching = false;
+    this.task = null;
+  }
+
+  /* =========================================================
+   * CRUD
+   * ======================================================= */
+  async create({
+    target,
+    title,
+    body,
+    data = {},
+    sendAt,
+    apiKey = null,
+    user = null,
+    createdBy = null,
+    quotaCharge = null,
+  }) {
+    const now = new Date();
+    const record = {
+      target,
+      title,
+      body,
+      data,
+      sendAt,
+      status: 'pending',
+      createdAt: now,
+      updatedAt: now,
+      createdBy,
+      // What scheduling cost the caller (see middleware/quota.js), given
+      // back if the job is retargeted or cancelled
+      quotaCharge,
+      ...(apiKey && { apiKeyId: apiKey.id, apiKeyName: apiKey.name }),
+      ...(user && { userUid: user.uid, userEmail: user.email }),
+    };
+
+    const id = await scheduledNotifications.create(record);
+    logger.info('Scheduled notification', { scheduledId: id, sendAt: sendAt.toISOString() });
+
+    return this._serialize({ id, ...record });
+  }
+
+  async list({ status, limit = 50 } = {}) {
+    const jobs = await scheduledNotifications.list({ status, limit });
+    return jobs.map((job) => this._serialize(job));
+  }
+
+  async get(id) {
+    const job = await scheduledNotifications.get(id);
+    if (!job) {
+      throw new Error('Scheduled notification not found');
+    }
+    return this._serialize(job);
+  }
+
+  // Edits (including rescheduling) are only allowed while the job is pending.
+  // An update that replaces the quota charge (a new target, or cancelling)
+  // refunds the old one.
+  async update(id, updates) {
+    const { record, previous } = await scheduledNotifications.mutate(id, (job) => {
+      if (!job) {
+        throw new Error('Scheduled notification not found');
+      }
+      if (job.status !== 'pending') {
+        throw new Error('Scheduled notification is no longer pending');
+      }
+      // Event reminders are re-planned from the event itself; only cancelling is allowed
+      if (eventReminders.isReminder(job) && !updates.status) {
+        throw new Error('Event reminders cannot be edited');
+      }
+
+      const updated = { ...job, ...updates, updatedAt: new Date() };
+      return { write: updated, result: { record: updated, previous: job } };
+    });
+
+    logger.info('Updated scheduled notification', { scheduledId: id });
+    if ('quotaCharge' in updates) {
+      await this._refund(id, previous.quotaCharge);
+    }
+    return this._serialize(record);
+  }
+
+  async cancel(id) {
+    return this.update(id, { status: 'cancelled', cancelledAt: new Date(), quotaCharge: null });
+  }
+
+  // Caller ID (see callerId in middleware/auth.js) of whoever scheduled the
+  // job; jobs from before createdBy was recorded fall back to the sender
+  // attribution. Event reminders have no owner.
+  ownerOf(job) {
+    if (job.createdBy) return job.createdBy;
+    if (job.userUid) return `user:${job.userUid}`;
+    return job.apiKeyId || null;
+  }
+
+  /* =========================================================
+   * DISPATCHER
+   * Runs every 30 seconds. Jobs are persisted, so anything that
+   * came due while the server was down is sent on the first run.
+   * ======================================================= */
+  start() {
+    if (this.task) return;
+
+    logger.info('Starting scheduled notification dispatcher');
+    this.task = cron.schedule('*/30 * * * * *', () => this.dispatchDue());
+
+    // Catch up immediately instead of waiting for the first tick
+    this.dispatchDue();
+    logger.info('Scheduled notification dispatcher started');
+  }
+
+  async dispatchDue() {
+    // Skip this tick if the previous run is still sending
+    if (this.isDispatching) return;
+    this.isDispatching = true;
+
+    try {
+      const now = new Date();
+      const stalled = await scheduledNotifications.stalled(
+        new Date(now.getTime() - LEASE_MS),
+        DISPATCH_BATCH_SIZE
+      );
+      const remaining = DISPATCH_BATCH_SIZE - stalled.length;
+      const due =
+        remaining > 0
+          ? [...stalled, ...(await scheduledNotifications.due(now, remaining))]
+          : stalled;
+      if (due.length === 0) return;
+
+      if (stalled.length > 0) {
+        logger.warn('Reclaiming scheduled notifications with expired claims', {
+          stalled: stalled.length,
+        });
+      }
+
+      logger.info('Dispatching due scheduled notifications', { due: due.length });
+
+      for (const { id } of due) {
+        // Each send is a unit of work; its logs and records share a jobId
+        await logger.runWithContext({ jobId: id }, () => this._dispatch(id));
+      }
+    } catch (error) {
+      logger.error('Error dispatching scheduled notifications', { error });
+    } finally {
+      this.isDispatching = false;
+    }
+  }
+
+  /* =========================================================
+   * PRIVATE HELPERS
+   * ======================================================= */
+
+  async _dispatch(id) {
+    // Claim the job first so that two instances never send it twice. A
+    // claim older than LEASE_MS was abandoned and can be taken over.
+    const job = await scheduledNotifications.mutate(id, (current) => {
+      const now = new Date();
+      const claimable =
+        current &&
+        (current.status === 'pending' ||
+          (current.status === 'sending' && now - current.claimedAt >= LEASE_MS));
+      if (!claimable) return { write: null, result: null };
+
+      return { write: { ...current, status: 'sending', claimedAt: now }, result: current };
+    });
+
+    if (!job) return;
+
+    try {
+      // Sends are attributed to whoever scheduled them
+      const options = {
+        apiKey: job.apiKeyId ? { id: job.apiKeyId, name: job.apiKeyName } : undefined,
+        user: job.userUid ? { uid: job.userUid, email: job.userEmail } : undefined,
+      };
+
+      const result = eventReminders.isReminder(job)
+        ? await notificationService.sendEventReminder(job)
+        : await notificationService.sendToTarget(
+            job.target,
+            job.title,
+            job.body,
+            job.data || {},
+            options
+          );
+
+      if (result.skipped) {
+        await scheduledNotifications.update(id, {
+          status: 'skipped',
+          skippedAt: new Date(),
+          reason: result.reason,
+        });
+        logger.info('Scheduled notification skipped', { scheduledId: id, reason: result.reason });
+        return;
+      }
+
+      await scheduledNotifications.update(id, {
+        status: 'sent',
+        sentAt: new Date(),
+        result: this._summarizeResult(result),
+      });
+      logger.info('Scheduled notification sent', { scheduledId: id });
+    } catch (error) {
+      logger.error('Scheduled notification failed', { scheduledId: id, error });
+      await scheduledNotifications.update(id, {
+        status: 'failed',
+        failedAt: new Date(),
+        error: error.message,
+      });
+    }
+  }
+
+  // Best effort: the job change already happened, so a failed refund only
+  // costs the caller budget
+  async _refund(id, charge) {
+    if (!charge) return;
+
+    const { clientId, kind, amount, chargedAt } = charge;
+    try {
+      await quotas.refund(clientId, kind, amount, notificationService.toDate(chargedAt));
+    } catch (error) {
+      logger.error('Failed to refund scheduled notification quota', { scheduledId: id, error });
+    }
+  }
+
+  // Multicast results can hold a thousand entries — store counts only
+  _summarizeResult(result) {
+    if (result.messageId) {
+      return { messageId: result.messageId };
+    }
+    return { sent: result.sent, failed: result.failed, pruned: result.pruned };
+  }
+
+  _serialize(record) {
+    const out = { ...record };
+    for (const key of DATE_FIELDS) {
+      if (out[key]) {
+        out[key] = notificationService.toDate(out[key]).toISOString();
+      }
+    }
+    return out;
+  }
+}
+
+module.exports = new ScheduledNotificationService();
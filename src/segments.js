@@ -0,0 +1,103 @@
+/**
+ * Audience Segments
+ * Compiles a structured segment definition into an FCM condition string.
+ *
+ * A segment is one of:
+ *   "music"                       — a single topic (shorthand)
+ *   { topic: "music" }            — a single topic
+ *   { and: [segment, ...] }       — all sub-segments must match
+ *   { or:  [segment, ...] }       — any sub-segment must match
+ *   { not: segment }              — sub-segment must not match
+ *
+ * Example:
+ *   { and: ["music", { or: ["kathmandu", "pokhara"] }] }
+ *   → "'music' in topics && ('kathmandu' in topics || 'pokhara' in topics)"
+ */
+
+// FCM topic names: letters, digits and -_.~% only
+const TOPIC_PATTERN = /^[a-zA-Z0-9\-_.~%]{1,900}$/;
+
+// FCM rejects conditions that reference more than five topics
+const MAX_CONDITION_TOPICS = 5;
+
+const MAX_DEPTH = 5;
+
+/**
+ * Compiles a segment definition.
+ * Returns { condition, topics } or throws an Error describing what is wrong.
+ */
+function compileSegment(segment) {
+  const topics = [];
+  const condition = compileNode(segment, topics, 0, true);
+
+  if (topics.length === 0) {
+    throw new Error('segment must reference at least one topic');
+  }
+  if (topics.length > MAX_CONDITION_TOPICS) {
+    throw new Error(
+      `segment references ${topics.length} topics — FCM allows at most ${MAX_CONDITION_TOPICS}`
+    );
+  }
+
+  return { condition, topics: [...new Set(topics)] };
+}
+
+function compileNode(node, topics, depth, isRoot) {
+  if (depth > MAX_DEPTH) {
+    throw new Error(`segment must not be nested more than ${MAX_DEPTH} levels deep`);
+  }
+
+  if (typeof node === 'string') {
+    return compileTopic(node, topics);
+  }
+
+  if (typeof node !== 'object' || node === null || Array.isArray(node)) {
+    throw new Error('each segment must be a topic name or an object');
+  }
+
+  const keys = Object.keys(node);
+  if (keys.length !== 1) {
+    throw new Error('each segment object must have exactly one of: topic, and, or, not');
+  }
+
+  const [op] = keys;
+  const value = node[op];
+
+  switch (op) {
+    case 'topic':
+      if (typeof value !== 'string') {
+        throw new Error('segment topic must be a string');
+      }
+      return compileTopic(value, topics);
+
+    case 'and':
+    case 'or': {
+      if (!Array.isArray(value) || value.length === 0) {
+        throw new Error(`segment "${op}" must be a non-empty array`);
+      }
+      if (value.length === 1) {
+        return compileNode(value[0], topics, depth + 1, isRoot);
+      }
+      const joined = value
+        .map((child) => compileNode(child, topics, depth + 1, false))
+        .join(op === 'and' ? ' && ' : ' || ');
+      return isRoot ? joined : `(${joined})`;
+    }
+
+    case 'not':
+      return `!(${compileNode(value, topics, depth + 1, true)})`;
+
+    default:
+      throw new Error(`unknown segment operator "${op}"`);
+  }
+}
+
+function compileTopic(topic, topics) {
+  if (!TOPIC_PATTERN.test(topic)) {
+    throw new Error(`invalid topic name "${topic}"`);
+  }
+  topics.push(topic);
+  return `'${topic}' in topics`;
+}
+
+module.exports = { compileSegment, TOPIC_PATTERN, MAX_CONDITION_TOPICS };
@@ -0,0 +1,166 @@
+const { notificationStats } = require('./repositories');
+const logger = require('./logger');
+
+// Counters are kept at both granularities; months are summed from days
+const GRANULARITIES = ['hour', 'day'];
+const GROUP_BY = ['hour', 'day', 'month'];
+
+// Longest range per groupBy, to bound reads and response size
+const MAX_RANGE_DAYS = { hour: 31, day: 731, month: 1827 };
+
+const DIMENSIONS = ['byType', 'byTarget', 'byClient'];
+
+// sent/failed count messages; recipients is the (estimated) audience of
+// those messages. received/opened/dismissed come from POST /api/track, and
+// delivered counts the receipts for messages whose recipients are known.
+const COUNTERS = [
+  'sent',
+  'failed',
+  'recipients',
+  'delivered',
+  'received',
+  'opened',
+  'dismissed',
+];
+
+/**
+ * Stats Service
+ * Aggregated send and engagement counters bucketed per UTC hour and day,
+ * broken down by notification type, target and API client. Sends count
+ * messages: a topic or condition send is one, a multicast counts each
+ * token. Engagement is counted when it is reported, not when it was sent.
+ */
+class StatsService {
+  /* =========================================================
+   * RECORD COUNTS
+   * Any of the COUNTERS, e.g. record({ type, target, client, sent: 1 }).
+   * Best-effort — a counter write must never fail a send.
+   * ======================================================= */
+  async record({ type, target, client, ...values }) {
+    const outcome = {};
+    for (const counter of COUNTERS) {
+      if (values[counter]) outcome[counter] = values[counter];
+    }
+    if (Object.keys(outcome).length === 0) return;
+
+    const counts = {
+      ...outcome,
+      byType: { [type || 'unknown']: outcome },
+      byTarget: { [target || 'unknown']: outcome },
+      byClient: { [client || 'system']: outcome },
+    };
+
+    const now = new Date();
+    try {
+      await Promise.all(
+        GRANULARITIES.map((granularity) => {
+          const start = bucketStart(now, granularity);
+          return notificationStats.increment(
+            `${granularity}_${start.toISOString()}`,
+            { granularity, bucketStart: start },
+            counts
+          );
+        })
+      );
+    } catch (error) {
+      logger.error('Failed to update stats counters', { error });
+    }
+  }
+
+  /* =========================================================
+   * QUERY A TIME SERIES
+   * Every bucket between from and to is present (zero-filled), plus
+   * totals for the whole range.
+   * ======================================================= */
+  async query({ from, to, groupBy }) {
+    const granularity = groupBy === 'hour' ? 'hour' : 'day';
+    const first = bucketStart(from, granularity);
+    const buckets = await notificationStats.range(granularity, first, to);
+
+    const series = new Map();
+    for (
+      let start = bucketStart(from, groupBy);
+      start <= to;
+      start = nextBucket(start, groupBy)
+    ) {
+      series.set(start.toISOString(), emptyBucket());
+    }
+
+    for (const bucket of buckets) {
+      const key = bucketStart(bucket.bucketStart, groupBy).toISOString();
+      if (series.has(key)) addBucket(series.get(key), bucket);
+    }
+
+    const totals = emptyBucket();
+    series.forEach((bucket) => addBucket(totals, bucket));
+    Object.assign(totals, rates(totals));
+    for (const counts of Object.values(totals.byType)) {
+      Object.assign(counts, rates(counts));
+    }
+
+    return {
+      from: from.toISOString(),
+      to: to.toISOString(),
+      groupBy,
+      totals,
+      series: [...series].map(([start, bucket]) => ({ start, ...bucket })),
+    };
+  }
+}
+
+/* =========================================================
+ * BUCKET HELPERS (UTC)
+ * ======================================================= */
+
+function bucketStart(date, unit) {
+  const d = new Date(date);
+  if (unit === 'hour') {
+    d.setUTCMinutes(0, 0, 0);
+  } else {
+    d.setUTCHours(0, 0, 0, 0);
+    if (unit === 'month') d.setUTCDate(1);
+  }
+  return d;
+}
+
+function nextBucket(start, unit) {
+  const d = new Date(start);
+  if (unit === 'hour') d.setUTCHours(d.getUTCHours() + 1);
+  else if (unit === 'day') d.setUTCDate(d.getUTCDate() + 1);
+  else d.setUTCMonth(d.getUTCMonth() + 1);
+  return d;
+}
+
+function emptyCounts() {
+  return Object.fromEntries(COUNTERS.map((counter) => [counter, 0]));
+}
+
+function emptyBucket() {
+  return { ...emptyCounts(), byType: {}, byTarget: {}, byClient: {} };
+}
+
+// Engagement rates for a set of counters (null when the base is zero)
+function rates({ recipients, delivered, received, opened }) {
+  const ratio = (part, whole) => (whole > 0 ? Math.round((part / whole) * 10000) / 10000 : null);
+  return { deliveryRate: ratio(delivered, recipients), openRate: ratio(opened, received) };
+}
+
+// Adds a stored bucket (or another aggregate) into an aggregate in place
+function addBucket(into, bucket) {
+  for (const counter of COUNTERS) {
+    into[counter] += bucket[counter] || 0;
+  }
+  for (const dimension of DIMENSIONS) {
+    for (const [key, counts] of Object.entries(bucket[dimension] || {})) {
+      const entry = (into[dimension][key] ||= emptyCounts());
+      for (const counter of COUNTERS) {
+        entry[counter] += counts[counter] || 0;
+      }
+    }
+  }
+}
+
+module.exports = new StatsService();
+module.exports.GROUP_BY = GROUP_BY;
+module.exports.MAX_RANGE_DAYS = MAX_RANGE_DAYS;
+module.exports.rates = rates;
@@ -0,0 +1,217 @@
+const fs = require('fs');
+const path = require('path');
+const { getFirestore } = require('./firebase');
+const { compileSegment } = require('./segments');
+const { backend: storageBackend } = require('./repositories');
+const logger = require('./logger');
+
+const TEMPLATES_DIR = process.env.TEMPLATES_DIR || path.join(__dirname, 'templates');
+const COLLECTION = 'notification_templates';
+
+// Firestore overrides are re-read at most this often
+const CACHE_TTL_MS = 60 * 1000;
+
+// Short locale codes used in templates/topics → Intl locale tags
+const INTL_LOCALES = {
+  en: 'en-US',
+  ne: 'ne-NP',
+};
+
+// {{name}} or {{name|fallback}}
+const PLACEHOLDER = /\{\{\s*(\w+)(?:\|([^}]*))?\s*\}\}/g;
+
+/**
+ * Template Service
+ * Notification copy lives in named templates with one variant per locale.
+ * Defaults ship in src/templates/*.json; a document with the same name in the
+ * Firestore `notification_templates` collection overrides them per locale, so
+ * wording can change without a deploy. Overrides are skipped with the memory
+ * storage backend.
+ *
+ * Template shape:
+ *   {
+ *     "description": "...",
+ *     "locales": {
+ *       "en": { "title": "🎉 New Event: {{title}}", "body": "{{date}} • {{location|TBD}}" },
+ *       "ne": { ... }
+ *     }
+ *   }
+ */
+class TemplateService {
+  constructor() {
+    this.locales = (process.env.NOTIFICATION_LOCALES || 'en,ne')
+      .split(',')
+      .map((l) => l.trim())
+      .filter(Boolean);
+    this.defaultLocale = this.locales[0];
+    this.fileTemplates = this._loadFiles();
+    this.cache = new Map();
+  }
+
+  // Resolved on use so requiring this module doesn't initialize Firebase
+  get firestore() {
+    return getFirestore();
+  }
+
+  /* =========================================================
+   * RENDER A TEMPLATE FOR ONE LOCALE
+   * Variable values may be strings, numbers, Dates (formatted for the
+   * locale) or functions called as fn(locale, localeTemplate).
+   * ======================================================= */
+  async render(name, vars = {}, locale = this.defaultLocale) {
+    const template = await this.get(name);
+    const variant = template.locales[locale] || template.locales[this.defaultLocale];
+
+    if (!variant) {
+      throw new Error(`Template "${name}" has no "${locale}" or default locale variant`);
+    }
+
+    const substitute = (text) =>
+      text.replace(PLACEHOLDER, (match, key, fallback) => {
+        const value = this._formatValue(vars[key], locale, variant);
+        return value === '' && fallback !== undefined ? fallback : value;
+      });
+
+    return { title: substitute(variant.title), body: substitute(variant.body) };
+  }
+
+  /* =========================================================
+   * LOOKUPS
+   * ======================================================= */
+  async get(name) {
+    const cached = this.cache.get(name);
+    if (cached && Date.now() - cached.loadedAt < CACHE_TTL_MS) {
+      return cached.template;
+    }
+
+    const fileTemplate = this.fileTemplates[name];
+    let override = null;
+
+    try {
+      if (storageBackend === 'firestore') {
+        const doc = await this.firestore.collection(COLLECTION).doc(name).get();
+        if (doc.exists) override = doc.data();
+      }
+    } catch (error) {
+      // Copy must still go out if Firestore is unreachable — use the file version
+      logger.error('Failed to load template override', { template: name, error });
+    }
+
+    if (!fileTemplate && !override) {
+      throw new Error('Template not found');
+    }
+
+    const template = {
+      description: override?.description || fileTemplate?.description || '',
+      locales: { ...fileTemplate?.locales, ...override?.locales },
+      source: override ? 'firestore' : 'file',
+    };
+
+    this.cache.set(name, { template, loadedAt: Date.now() });
+    return template;
+  }
+
+  async list() {
+    const names = new Set(Object.keys(this.fileTemplates));
+
+    if (storageBackend === 'firestore') {
+      const snapshot = await this.firestore.collection(COLLECTION).get();
+      snapshot.docs.forEach((doc) => names.add(doc.id));
+    }
+
+    const templates = [];
+    for (const name of [...names].sort()) {
+      const template = await this.get(name);
+      templates.push({
+        name,
+        description: template.description,
+        source: template.source,
+        locales: Object.keys(template.locales),
+      });
+    }
+    return templates;
+  }
+
+  /* =========================================================
+   * LOCALE HELPERS
+   * ======================================================= */
+
+  // Devices subscribe to `locale_<code>` topics. Users without a locale
+  // topic fall back to the default locale.
+  localeCondition(locale) {
+    const others = this.locales.filter((l) => l !== this.defaultLocale);
+
+    const segment =
+      locale === this.defaultLocale
+        ? { and: ['all_users', { not: { or: others.map((l) => `locale_${l}`) } }] }
+        : { and: ['all_users', `locale_${locale}`] };
+
+    return compileSegment(segment).condition;
+  }
+
+  intlLocale(locale) {
+    return INTL_LOCALES[locale] || locale;
+  }
+
+  formatDate(date, locale = this.defaultLocale) {
+    // Format for Nepal timezone (Asia/Kathmandu)
+    return date.toLocaleString(this.intlLocale(locale), {
+      weekday: 'short',
+      month: 'short',
+      day: 'numeric',
+      year: 'numeric',
+      hour: '2-digit',
+      minute: '2-digit',
+      hour12: true,
+      timeZone: 'Asia/Kathmandu',
+    });
+  }
+
+  // "in 1 hour" / "१ घण्टामा"
+  formatRelative(minutes, locale = this.defaultLocale) {
+    const rtf = new Intl.RelativeTimeFormat(this.intlLocale(locale));
+    if (minutes < 60) return rtf.format(minutes, 'minute');
+    if (minutes >= 2880 && minutes % 1440 === 0) return rtf.format(minutes / 1440, 'day');
+    if (minutes % 60 === 0) return rtf.format(minutes / 60, 'hour');
+    return rtf.format(minutes, 'minute');
+  }
+
+  /* =========================================================
+   * PRIVATE HELPERS
+   * ======================================================= */
+
+  _formatValue(value, locale, variant) {
+    if (value === undefined || value === null) return '';
+    if (typeof value === 'function') return String(value(locale, variant) ?? '');
+    if (typeof value.toDate === 'function') return this.formatDate(value.toDate(), locale);
+    if (value instanceof Date) return this.formatDate(value, locale);
+    if (typeof value === 'number') {
+      return new Intl.NumberFormat(this.intlLocale(locale)).format(value);
+    }
+    return String(value);
+  }
+
+  _loadFiles() {
+    const templates = {};
+
+    if (!fs.existsSync(TEMPLATES_DIR)) {
+      logger.warn('Templates directory not found', { dir: TEMPLATES_DIR });
+      return templates;
+    }
+
+    for (const file of fs.readdirSync(TEMPLATES_DIR)) {
+      if (!file.endsWith('.json')) continue;
+      try {
+        const raw = fs.readFileSync(path.join(TEMPLATES_DIR, file), 'utf8');
+        templates[path.basename(file, '.json')] = JSON.parse(raw);
+      } catch (error) {
+        logger.error('Failed to load template', { file, error });
+      }
+    }
+
+    logger.info('Loaded notification templates', { count: Object.keys(templates).length });
+    return templates;
+  }
+}
+
+module.exports = new TemplateService();
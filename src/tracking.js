@@ -0,0 +1,164 @@
+const crypto = require('crypto');
+const deviceRegistry = require('./deviceregistry');
+const stats = require('./stats');
+const { notificationTracking } = require('./repositories');
+const logger = require('./logger');
+
+// What the app reports → the counter it increments
+const ACTION_COUNTERS = { receive: 'received', open: 'opened', dismiss: 'dismissed' };
+const ACTIONS = Object.keys(ACTION_COUNTERS);
+
+// Tokens must verify on every instance and across restarts, so production
+// requires TRACKING_SECRET (see validateEnvironment in index.js)
+const SECRET = process.env.TRACKING_SECRET || crypto.randomBytes(32).toString('hex');
+
+const TOKEN_LENGTH = 22; // 128 bits of HMAC-SHA256, base64url
+
+/**
+ * Engagement Tracking
+ * Every message carries a trackingId and a trackingToken (an HMAC of the
+ * ID) in its data payload. The app reports receive/open/dismiss with both
+ * via the public POST /api/track — the token proves the ID came from us
+ * without requiring app credentials. Each device counts at most once per
+ * action, however often it reports it.
+ *
+ * Delivery rate is received / recipients, where recipients is the number
+ * of devices FCM accepted the message for. For topics it is estimated
+ * from the device registry (see DeviceRegistry.countByTopic); a localized
+ * broadcast is one notification whose audience is every registered device.
+ * For conditions (segments) it is unknown: estimating would read every
+ * device record on each send.
+ */
+class TrackingService {
+  newId() {
+    return crypto.randomUUID();
+  }
+
+  sign(trackingId) {
+    return crypto
+      .createHmac('sha256', SECRET)
+      .update(trackingId)
+      .digest('base64url')
+      .slice(0, TOKEN_LENGTH);
+  }
+
+  /* =========================================================
+   * REGISTER A SENT NOTIFICATION
+   * Best-effort — tracking must never fail a send. Registering an ID
+   * again (e.g. a dead-letter replay) adds to its recipients, unless they
+   * are estimated: an estimate already covers the whole `audience`
+   * ({ topic }) of every message sharing the ID.
+   * ======================================================= */
+  async registerSend({
+    trackingId,
+    type,
+    eventId,
+    title,
+    target,
+    client,
+    recipients = null,
+    audience = {},
+  }) {
+    try {
+      const estimated = recipients === null;
+      if (estimated) {
+        recipients = await this._estimateAudience(audience);
+      }
+
+      const created = await notificationTracking.create(trackingId, {
+        type,
+        eventId: eventId || null,
+        title,
+        target,
+        client,
+        recipients,
+        received: 0,
+        opened: 0,
+        dismissed: 0,
+        sentAt: new Date(),
+      });
+      if (!created) {
+        if (estimated || !recipients) return;
+        await notificationTracking.increment(trackingId, 'recipients', recipients);
+      }
+
+      if (recipients) {
+        await stats.record({ type, target, client, recipients });
+      }
+    } catch (error) {
+      logger.error('Failed to register notification for tracking', { trackingId, error });
+    }
+  }
+
+  /* =========================================================
+   * RECORD AN ENGAGEMENT EVENT FROM THE APP
+   * Repeats from the same device are accepted but not counted again.
+   * ======================================================= */
+  async track({ trackingId, token, action, deviceId }) {
+    const expected = Buffer.from(this.sign(trackingId));
+    const provided = Buffer.from(token);
+    if (expected.length !== provided.length || !crypto.timingSafeEqual(expected, provided)) {
+      throw new Error('Invalid tracking token');
+    }
+
+    const record = await notificationTracking.get(trackingId);
+    if (!record) {
+      throw new Error('Notification not found');
+    }
+
+    const deviceKey = crypto.createHash('sha256').update(deviceId).digest('hex').slice(0, 32);
+    if (!(await notificationTracking.claimEvent(trackingId, `${deviceKey}_${action}`))) {
+      return;
+    }
+
+    const counter = ACTION_COUNTERS[action];
+    await notificationTracking.increment(trackingId, counter);
+    await stats.record({
+      type: record.type,
+      target: record.target,
+      client: record.client,
+      [counter]: 1,
+      // Only receipts with a known audience count towards delivery rate
+      ...(counter === 'received' && record.recipients && { delivered: 1 }),
+    });
+  }
+
+  /* =========================================================
+   * PER-NOTIFICATION METRICS
+   * ======================================================= */
+  async get(trackingId) {
+    const record = await notificationTracking.get(trackingId);
+    if (!record) {
+      throw new Error('Notification not found');
+    }
+    return this._withRates(record);
+  }
+
+  async list({ type, limit }) {
+    const records = await notificationTracking.list({ type, limit });
+    return records.map((record) => this._withRates(record));
+  }
+
+  /* =========================================================
+   * PRIVATE HELPERS
+   * ======================================================= */
+
+  _withRates({ id, ...record }) {
+    const delivered = record.recipients ? record.received : 0;
+    return { trackingId: id, ...record, ...stats.rates({ ...record, delivered }) };
+  }
+
+  async _estimateAudience({ topic }) {
+    if (!topic) return null;
+    try {
+      return await deviceRegistry.countByTopic(topic);
+    } catch (error) {
+      logger.warn('Could not count registered devices', { error });
+      return null;
+    }
+  }
+}
+
+module.exports = new TrackingService();
+module.exports.ACTIONS = ACTIONS;
+module.exports.TOKEN_LENGTH = TOKEN_LENGTH;
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const logger = require('../logger');
+
+// Keep memory bounded on long-running dev servers
+const MAX_ENTRIES = 1000;
+
+// Tokens starting with this prefix are reported as unregistered, so
+// stale-token pruning can be exercised offline.
+const STALE_TOKEN_PREFIX = 'stale-';
+
+/**
+ * Capture Transport (development/testing only)
+ * Records every message instead of delivering it. Entries are kept in memory
+ * (exposed via GET /api/dev/outbox) and, if a file path is given, appended to
+ * it as JSON lines.
+ */
+class CaptureTransport {
+  constructor({ file } = {}) {
+    this.name = 'capture';
+    this.file = file || null;
+    this.entries = [];
+    this.counter = 0;
+  }
+
+  async send(message, dryRun = false) {
+    const entry = this._record('send', message, dryRun);
+    return `projects/capture/messages/${entry.id}`;
+  }
+
+  async sendEachForMulticast(message, dryRun = false) {
+    const entry = this._record('multicast', message, dryRun);
+
+    const responses = message.tokens.map((token, idx) =>
+      token.startsWith(STALE_TOKEN_PREFIX)
+        ? {
+            success: false,
+            error: this._error(
+              'messaging/registration-token-not-registered',
+              'Requested entity was not found.'
+            ),
+          }
+        : { success: true, messageId: `projects/capture/messages/${entry.id}-${idx}` }
+    );
+
+    const successCount = responses.filter((r) => r.success).length;
+    return { responses, successCount, failureCount: responses.length - successCount };
+  }
+
+  async subscribeToTopic(tokens, topic) {
+    return this._topicResponse('subscribe', tokens, topic);
+  }
+
+  async unsubscribeFromTopic(tokens, topic) {
+    return this._topicResponse('unsubscribe', tokens, topic);
+  }
+
+  /* =========================================================
+   * OUTBOX ACCESS
+   * ======================================================= */
+  list(limit = 100) {
+    return this.entries.slice(-limit).reverse();
+  }
+
+  clear() {
+    const count = this.entries.length;
+    this.entries = [];
+    return count;
+  }
+
+  /* =========================================================
+   * PRIVATE HELPERS
+   * ======================================================= */
+
+  _topicResponse(kind, tokens, topic) {
+    this._record(kind, { topic, tokens }, false);
+
+    const errors = [];
+    tokens.forEach((token, index) => {
+      if (token.startsWith(STALE_TOKEN_PREFIX)) {
+        errors.push({
+          index,
+          error: this._error('messaging/registration-token-not-registered', 'Not registered'),
+        });
+      }
+    });
+
+    return {
+      successCount: tokens.length - errors.length,
+      failureCount: errors.length,
+      errors,
+    };
+  }
+
+  _record(kind, message, dryRun) {
+    const entry = {
+      id: ++this.counter,
+      kind,
+      dryRun,
+      message,
+      capturedAt: new Date().toISOString(),
+    };
+
+    this.entries.push(entry);
+    if (this.entries.length > MAX_ENTRIES) {
+      this.entries.shift();
+    }
+
+    if (this.file) {
+      fs.appendFile(this.file, `${JSON.stringify(entry)}\n`, (error) => {
+        if (error) logger.error('Failed to write capture outbox', { error });
+      });
+    }
+
+    logger.info('Captured message', { kind, captureId: entry.id, dryRun });
+    return entry;
+  }
+
+  _error(code, message) {
+    const error = new Error(message);
+    error.code = code;
+    return error;
+  }
+}
+
+module.exports = CaptureTransport;
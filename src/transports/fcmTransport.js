@@ -0,0 +1,38 @@
+const { getMessaging } = require('../firebase');
+
+/**
+ * FCM Transport
+ * Thin wrapper around the Firebase Admin messaging client. The client is
+ * resolved on first use so nothing touches Firebase until a message is sent.
+ */
+class FcmTransport {
+  constructor() {
+    this.name = 'fcm';
+    this.messaging = null;
+  }
+
+  async send(message, dryRun = false) {
+    return this._client().send(message, dryRun);
+  }
+
+  async sendEachForMulticast(message, dryRun = false) {
+    return this._client().sendEachForMulticast(message, dryRun);
+  }
+
+  async subscribeToTopic(tokens, topic) {
+    return this._client().subscribeToTopic(tokens, topic);
+  }
+
+  async unsubscribeFromTopic(tokens, topic) {
+    return this._client().unsubscribeFromTopic(tokens, topic);
+  }
+
+  _client() {
+    if (!this.messaging) {
+      this.messaging = getMessaging();
+    }
+    return this.messaging;
+  }
+}
+
+module.exports = FcmTransport;
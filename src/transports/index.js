@@ -0,0 +1,46 @@
+const FcmTransport = require('./fcmTransport');
+const CaptureTransport = require('./captureTransport');
+const { instrumentTransport } = require('../metrics');
+const logger = require('../logger');
+
+/**
+ * Messaging Transport
+ * Every transport implements the subset of the Firebase messaging API the
+ * server uses:
+ *   send(message, dryRun)                  → messageId
+ *   sendEachForMulticast(message, dryRun)  → { responses, successCount, failureCount }
+ *   subscribeToTopic(tokens, topic)        → { successCount, failureCount, errors }
+ *   unsubscribeFromTopic(tokens, topic)    → { successCount, failureCount, errors }
+ *
+ * Select one with MESSAGING_TRANSPORT:
+ *   fcm      (default) — deliver through Firebase Cloud Messaging
+ *   capture            — record messages locally; optional CAPTURE_OUTBOX_FILE
+ */
+
+const TRANSPORTS = ['fcm', 'capture'];
+
+let transport = null;
+
+function getTransport() {
+  if (transport) return transport;
+
+  const name = (process.env.MESSAGING_TRANSPORT || 'fcm').toLowerCase();
+
+  switch (name) {
+    case 'fcm':
+      transport = new FcmTransport();
+      break;
+    case 'capture':
+      transport = new CaptureTransport({ file: process.env.CAPTURE_OUTBOX_FILE });
+      logger.warn('Using CAPTURE messaging transport — notifications are NOT delivered');
+      break;
+    default:
+      throw new Error(
+        `Unknown MESSAGING_TRANSPORT "${name}" (expected one of: ${TRANSPORTS.join(', ')})`
+      );
+  }
+
+  return instrumentTransport(transport);
+}
+
+module.exports = { getTransport, TRANSPORTS };
@@ -0,0 +1,87 @@
+const { getAuth } = require('./firebase');
+const logger = require('./logger');
+
+// Custom-claim roles for staff signing in with Firebase Auth, and the
+// API scopes each one grants
+const ROLE_SCOPES = {
+  notifier: ['send:broadcast', 'send:device', 'read:stats'],
+  admin: ['admin'],
+};
+
+const ROLES = Object.keys(ROLE_SCOPES);
+
+/**
+ * User Role Service
+ * Grants and revokes the `role` custom claim on Firebase Auth users.
+ * Revoking or replacing a role also revokes the user's refresh tokens, so
+ * ID tokens carrying the old role stop working immediately (see
+ * authenticate).
+ */
+class UserRoleService {
+  async get(uid) {
+    const user = await this._getUser(uid);
+    return this._serialize(user);
+  }
+
+  async grant(uid, role, grantedBy) {
+    const user = await this._getUser(uid);
+    const claims = { ...user.customClaims, role };
+
+    await getAuth().setCustomUserClaims(uid, claims);
+
+    // A first role reaches the client on its next token refresh (at most an
+    // hour); tokens carrying a replaced role must not outlive the change
+    const previousRole = user.customClaims?.role;
+    if (previousRole && previousRole !== role) {
+      await getAuth().revokeRefreshTokens(uid);
+    }
+    logger.info('Granted role', { role, previousRole, uid, grantedBy });
+
+    return this._serialize({ ...user, customClaims: claims });
+  }
+
+  async revoke(uid, revokedBy) {
+    const user = await this._getUser(uid);
+    if (!user.customClaims?.role) {
+      throw new Error('User has no role');
+    }
+
+    // eslint-disable-next-line no-unused-vars
+    const { role, ...claims } = user.customClaims;
+    await getAuth().setCustomUserClaims(uid, claims);
+    await getAuth().revokeRefreshTokens(uid);
+    logger.info('Revoked role', { role, uid, revokedBy });
+
+    return this._serialize({ ...user, customClaims: claims });
+  }
+
+  scopesFor(role) {
+    return Object.hasOwn(ROLE_SCOPES, role) ? ROLE_SCOPES[role] : [];
+  }
+
+  /* =========================================================
+   * PRIVATE HELPERS
+   * ======================================================= */
+
+  async _getUser(uid) {
+    try {
+      return await getAuth().getUser(uid);
+    } catch (error) {
+      if (error.code === 'auth/user-not-found') {
+        throw new Error('User not found');
+      }
+      throw error;
+    }
+  }
+
+  _serialize(user) {
+    return {
+      uid: user.uid,
+      email: user.email || null,
+      role: user.customClaims?.role || null,
+    };
+  }
+}
+
+module.exports = new UserRoleService();
+module.exports.ROLES = ROLES;
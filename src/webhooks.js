@@ -0,0 +1,365 @@
+const crypto = require('crypto');
+const http = require('http');
+const https = require('https');
+const cron = require('node-cron');
+const { webhooks, webhookDeliveries } = require('./repositories');
+const metrics = require('./metrics');
+const logger = require('./logger');
+const { validatePublicHost, publicLookup } = require('./netguard');
+
+const EVENTS = [
+  'notification.sent',
+  'notification.failed',
+  'event.announced',
+  'event.rescheduled',
+];
+
+// Delay before each retry; a delivery is given up after the last one
+const RETRY_DELAYS_MINUTES = [1, 5, 30, 120, 360];
+const MAX_ATTEMPTS = RETRY_DELAYS_MINUTES.length + 1;
+
+const REQUEST_TIMEOUT_MS = 10_000;
+
+// A claimed delivery becomes due again after this long, so one that was
+// in flight when an instance died is retried instead of stuck
+const LEASE_MS = 2 * 60 * 1000;
+
+// How many due deliveries a single dispatcher run will retry
+const DISPATCH_BATCH_SIZE = 50;
+
+// Subscriptions are re-read at most this often, so edits made on another
+// instance take effect within this window
+const CACHE_TTL_MS = 30 * 1000;
+
+const DATE_FIELDS = [
+  'createdAt',
+  'updatedAt',
+  'nextAttemptAt',
+  'lastAttemptAt',
+  'deliveredAt',
+  'failedAt',
+  'cancelledAt',
+];
+
+// POSTs `body` to a subscriber and resolves with the response status.
+// The address is checked again here, not just at registration: a name can
+// be re-pointed at an internal address later, and publicLookup vets the
+// address that is actually connected to.
+function post(url, body, headers) {
+  return new Promise((resolve, reject) => {
+    const target = new URL(url);
+    const hostError = validatePublicHost(target.hostname);
+    if (hostError) {
+      reject(new Error(hostError));
+      return;
+    }
+
+    const transport = target.protocol === 'https:' ? https : http;
+    const req = transport.request(target, {
+      method: 'POST',
+      headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+      lookup: publicLookup,
+      signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS),
+    });
+
+    req.on('error', reject);
+    req.on('response', (response) => {
+      // The response body is never used — release the connection
+      response.resume();
+      resolve(response.statusCode);
+    });
+    req.end(body);
+  });
+}
+
+/**
+ * Outbound Webhooks
+ * Subscriptions receive a JSON POST for each event they listen to:
+ *   { "id", "type", "createdAt", "data" }
+ * `id` is the same on every retry, so receivers can drop duplicates.
+ *
+ * Each request carries X-Webhook-Timestamp (unix seconds) and
+ * X-Webhook-Signature: sha256=<hex HMAC-SHA256 of "<timestamp>.<body>">,
+ * keyed with the subscription's secret. Receivers should recompute it and
+ * reject stale timestamps.
+ *
+ * Any non-2xx response or network error is retried with backoff (see
+ * RETRY_DELAYS_MINUTES); every attempt is kept in webhook_deliveries.
+ */
+class WebhookService {
+  constructor() {
+    this.cache = null;
+    this.isDispatching = false;
+    this.task = null;
+  }
+
+  /* =========================================================
+   * SUBSCRIPTIONS
+   * The secret is only returned by create.
+   * ======================================================= */
+  async create({ url, events, description = '', createdBy = null }) {
+    const secret = `whsec_${crypto.randomBytes(32).toString('base64url')}`;
+    const now = new Date();
+    const record = {
+      url,
+      events,
+      description,
+      secret,
+      active: true,
+      createdAt: now,
+      updatedAt: now,
+      createdBy,
+    };
+
+    const id = await webhooks.create(record);
+    this.cache = null;
+    logger.info('Created webhook', { webhookId: id, url, events });
+
+    return { secret, webhook: this._serialize({ id, ...record }) };
+  }
+
+  async list() {
+    const records = await webhooks.list();
+    return records.map((record) => this._serialize(record));
+  }
+
+  async get(id) {
+    return this._serialize(await this._load(id));
+  }
+
+  // `updates` may change url, events, description and active
+  async update(id, updates) {
+    const record = await this._load(id);
+    const fields = { ...updates, updatedAt: new Date() };
+
+    await webhooks.update(id, fields);
+    this.cache = null;
+
+    logger.info('Updated webhook', { webhookId: id });
+    return this._serialize({ ...record, ...fields });
+  }
+
+  // Pending deliveries for a deleted webhook are cancelled when next due
+  async delete(id) {
+    if (!(await webhooks.delete(id))) {
+      throw new Error('Webhook not found');
+    }
+    this.cache = null;
+    logger.info('Deleted webhook', { webhookId: id });
+  }
+
+  /* =========================================================
+   * DELIVERY LOG
+   * ======================================================= */
+  async deliveries(id, { status, limit = 50 } = {}) {
+    await this._load(id);
+    const records = await webhookDeliveries.listByWebhook(id, { status, limit });
+    return records.map((record) => this._serialize(record));
+  }
+
+  /* =========================================================
+   * EMIT AN EVENT
+   * Queues a delivery for every active subscription and makes the first
+   * attempt straight away. Best-effort and never throws — callers don't
+   * await it, so a slow receiver can't hold up a send.
+   * ======================================================= */
+  async emit(type, data) {
+    try {
+      const subscribers = (await this._activeWebhooks()).filter((webhook) =>
+        webhook.events.includes(type)
+      );
+      if (subscribers.length === 0) return;
+
+      const body = JSON.stringify({
+        id: crypto.randomUUID(),
+        type,
+        createdAt: new Date().toISOString(),
+        data,
+      });
+
+      await Promise.all(
+        subscribers.map(async (webhook) => {
+          const now = new Date();
+          const delivery = {
+            webhookId: webhook.id,
+            type,
+            body,
+            status: 'pending',
+            attempts: 0,
+            attemptLog: [],
+            createdAt: now,
+            nextAttemptAt: new Date(now.getTime() + LEASE_MS),
+            ...logger.correlation(),
+          };
+          const id = await webhookDeliveries.create(delivery);
+          await this._attempt({ id, ...delivery }, webhook);
+        })
+      );
+    } catch (error) {
+      logger.error('Failed to queue webhook deliveries', { type, error });
+    }
+  }
+
+  /* =========================================================
+   * RETRY DISPATCHER
+   * Runs every 30 seconds and retries deliveries whose backoff has passed.
+   * ======================================================= */
+  start() {
+    if (this.task) return;
+
+    this.task = cron.schedule('*/30 * * * * *', () => this.dispatchDue());
+    logger.info('Webhook retry dispatcher started');
+  }
+
+  async dispatchDue() {
+    // Skip this tick if the previous run is still delivering
+    if (this.isDispatching) return;
+    this.isDispatching = true;
+
+    try {
+      const due = await webhookDeliveries.due(new Date(), DISPATCH_BATCH_SIZE);
+      for (const { id } of due) {
+        await this._redeliver(id);
+      }
+    } catch (error) {
+      logger.error('Error dispatching webhook retries', { error });
+    } finally {
+      this.isDispatching = false;
+    }
+  }
+
+  // Hex HMAC-SHA256 of "<timestamp>.<body>"; also verifies inbound hooks
+  sign(secret, timestamp, body) {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.`).update(body).digest('hex');
+  }
+
+  /* =========================================================
+   * PRIVATE HELPERS
+   * ======================================================= */
+
+  async _load(id) {
+    const record = await webhooks.get(id);
+    if (!record) {
+      throw new Error('Webhook not found');
+    }
+    return record;
+  }
+
+  async _activeWebhooks() {
+    if (!this.cache || Date.now() - this.cache.loadedAt >= CACHE_TTL_MS) {
+      const records = await webhooks.list();
+      this.cache = { records: records.filter((w) => w.active), loadedAt: Date.now() };
+    }
+    return this.cache.records;
+  }
+
+  async _redeliver(id) {
+    // Claim the delivery first so that two instances never send it together
+    const delivery = await webhookDeliveries.mutate(id, (current) => {
+      const now = new Date();
+      if (!current || current.status !== 'pending' || current.nextAttemptAt > now) {
+        return { write: null, result: null };
+      }
+      const nextAttemptAt = new Date(now.getTime() + LEASE_MS);
+      return { write: { ...current, nextAttemptAt }, result: current };
+    });
+    if (!delivery) return;
+
+    const webhook = await webhooks.get(delivery.webhookId);
+    if (!webhook || !webhook.active) {
+      await webhookDeliveries.update(id, {
+        status: 'cancelled',
+        cancelledAt: new Date(),
+        nextAttemptAt: null,
+        lastError: webhook ? 'Webhook disabled' : 'Webhook deleted',
+      });
+      return;
+    }
+
+    await this._attempt(delivery, webhook);
+  }
+
+  // POSTs one delivery and records the outcome
+  async _attempt(delivery, webhook) {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const startedAt = new Date();
+    let statusCode = null;
+    let error = null;
+
+    try {
+      statusCode = await post(webhook.url, delivery.body, {
+        'Content-Type': 'application/json',
+        'User-Agent': 'PushNotificationServer-Webhooks/1.0',
+        'X-Webhook-Delivery': delivery.id,
+        'X-Webhook-Event': delivery.type,
+        'X-Webhook-Timestamp': String(timestamp),
+        'X-Webhook-Signature': `sha256=${this.sign(webhook.secret, timestamp, delivery.body)}`,
+      });
+      // Redirects are not followed, so a 3xx counts as a failure too
+      if (statusCode < 200 || statusCode >= 300) error = `HTTP ${statusCode}`;
+    } catch (err) {
+      error = err.message;
+    }
+
+    const attempts = delivery.attempts + 1;
+    const now = new Date();
+    const fields = {
+      attempts,
+      lastAttemptAt: now,
+      lastStatusCode: statusCode,
+      lastError: error,
+      attemptLog: [
+        ...delivery.attemptLog,
+        {
+          at: startedAt.toISOString(),
+          statusCode,
+          durationMs: now - startedAt,
+          ...(error && { error }),
+        },
+      ],
+    };
+
+    let outcome;
+    if (!error) {
+      outcome = 'delivered';
+      Object.assign(fields, { status: 'delivered', deliveredAt: now, nextAttemptAt: null });
+    } else if (attempts >= MAX_ATTEMPTS) {
+      outcome = 'failed';
+      Object.assign(fields, { status: 'failed', failedAt: now, nextAttemptAt: null });
+      logger.warn('Webhook delivery failed permanently', {
+        webhookId: webhook.id,
+        deliveryId: delivery.id,
+        attempts,
+        error,
+      });
+    } else {
+      outcome = 'retrying';
+      const delayMs = RETRY_DELAYS_MINUTES[attempts - 1] * 60 * 1000;
+      fields.nextAttemptAt = new Date(now.getTime() + delayMs);
+    }
+
+    metrics.webhookDeliveries.inc({ type: delivery.type, outcome });
+    try {
+      await webhookDeliveries.update(delivery.id, fields);
+    } catch (updateErr) {
+      logger.error('Failed to record webhook delivery', {
+        deliveryId: delivery.id,
+        error: updateErr,
+      });
+    }
+  }
+
+  // Never expose the secret; dates as ISO strings
+  _serialize(record) {
+    // eslint-disable-next-line no-unused-vars
+    const { secret, ...out } = record;
+
+    for (const key of DATE_FIELDS) {
+      if (out[key]) out[key] = out[key].toISOString();
+    }
+    return out;
+  }
+}
+
+module.exports = new WebhookService();
+module.exports.EVENTS = EVENTS;